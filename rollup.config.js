@@ -1,16 +1,74 @@
 import webWorkerLoader from 'rollup-plugin-web-worker-loader';  // needed for bundling the web worker code. Looks for prefix "web-worker://" in imports (see main.js)
+import { readdirSync, readFileSync } from 'node:fs';
+import { join, resolve } from 'node:path';
 
-export default {
-    input: './src/wrapper_Leaflet.js',
-    plugins: [
-        webWorkerLoader(/* rollup-plugin-web-worker-loader plugin config, if needed */)
-    ],
-    output: [{
-        file: './dist/station-model-symbology-Leaflet-UMD.js',
-        format: 'umd',
-        name: 'station-model-symbology'
-    }, {
-        file: './dist/station-model-symbology-Leaflet-IIFE.js',
-        format: 'iife'
-    }]
-}
\ No newline at end of file
+// folders of WorldWeatherSymbols plotted on the station model (see loadSVGIcon() calls in main.js)
+const SYMBOL_FOLDERS = [
+    "CH_CloudHigh", "CL_CloudLow", "CM_CloudMedium", "Ds_ShipDirection", "E_StateOfGround", "Eprime_StateOfGround", "N_TotalCloudCover",
+    "W1W2_PastWeather", "Wa1Wa2_PastWeatherAutomaticStation", "a_PressureTendencyCharacteristic", "ddff_WindArrows", "dw1dw1_SwellDirection",
+    "w1w1_PresentWeatherAdditional", "wawa_PresentWeatherAutomaticStation", "ww_PresentWeather"
+];
+
+// replaces src/inline_symbols.js with the SVG sources of the symbols folder, without XML declaration, metadata, comments and indentation
+function inlineSymbols(symbolsFolder) {
+    const target = resolve('./src/inline_symbols.js');
+    return {
+        name: 'inline-symbols',
+        load(id) {
+            if (resolve(id) != target) return null;
+            var symbols = {};
+            SYMBOL_FOLDERS.forEach((folder) => {
+                readdirSync(join(symbolsFolder, folder)).filter(file => file.endsWith('.svg')).sort().forEach((file) => {
+                    symbols[folder + '/' + file] = readFileSync(join(symbolsFolder, folder, file), 'utf8')
+                        .replace(/<\?xml[^>]*\?>/, '')
+                        .replace(/<!--[\s\S]*?-->/g, '')
+                        .replace(/<(\w+:)?metadata[\s\S]*?<\/(\w+:)?metadata>/g, '')
+                        .replace(/>\s+</g, '><')
+                        .trim();
+                });
+            });
+            return '// WMO weather symbols from WorldWeatherSymbols (https://github.com/OGCMetOceanDWG/WorldWeatherSymbols/), licensed under CC BY 4.0\n'
+                + 'export const INLINE_SYMBOLS = ' + JSON.stringify(symbols) + ';\n';
+        }
+    };
+}
+
+// UMD and IIFE bundles of a wrapper, with the symbols loaded from option "symbolsBaseUrl", or built in ("-symbols" bundles: no "symbols" folder is needed next to the page)
+function bundles(wrapper, name) {
+    return [false, true].map(inline => ({
+        input: `./src/wrapper_${wrapper}.js`,
+        plugins: [
+            ...(inline ? [inlineSymbols('./examples/symbols')] : []),
+            webWorkerLoader(/* rollup-plugin-web-worker-loader plugin config, if needed */)
+        ],
+        output: [{
+            file: `./dist/${name}${inline ? '-symbols' : ''}-UMD.js`,
+            format: 'umd',
+            name: 'station-model-symbology'
+        }, {
+            file: `./dist/${name}${inline ? '-symbols' : ''}-IIFE.js`,
+            format: 'iife'
+        }]
+    }));
+}
+
+export default [
+    ...bundles('Leaflet', 'station-model-symbology-Leaflet'),
+    ...bundles('OpenLayers', 'station-model-symbology-OpenLayers'),
+    ...bundles('MapLibre', 'station-model-symbology-MapLibre'),
+    {
+        // headless renderer for Node.js, symbols are read from the filesystem
+        input: './src/node.js',
+        external: [/^node:/],
+        plugins: [
+            webWorkerLoader()
+        ],
+        output: [{
+            file: './dist/station-model-symbology-node.js',
+            format: 'es'
+        }, {
+            file: './dist/station-model-symbology-node.cjs',
+            format: 'cjs'
+        }]
+    }
+]
@@ -0,0 +1,478 @@
+/**
+ * station-model-symbology: bufr_decoder.js
+ *
+ * Decodes BUFR (FM 94) surface observations of templates TM 307080 (fixed land stations), TM 307096 (mobile land stations) and TM 308009 (sea stations), in pure JavaScript.
+ * Each subset (station) of the message is read into an observation of plain values, following the BUFR to TAC regulations of WMO-No. 306 where a SYNOP group is plotted,
+ * and built into the same decoded structure as SYNOP reports (observation_decoder.js), so it is plotted by every cell of meteoStation().
+ * Only the elements that are plotted on the station model are read.
+ */
+
+import { decodeObservation } from './observation_decoder';
+
+export { decodeBufrSubset, bufrSubsetPositions };
+
+// Table B elements used by the supported templates: [scale, reference value, data width (bits), "s" for CCITT IA5 strings or "c" for code and flag tables]
+const TABLE_B = {
+    "001001": [0, 0, 7],                // WMO block number
+    "001002": [0, 0, 10],               // WMO station number
+    "001011": [0, 0, 72, "s"],          // ship or mobile land station identifier
+    "001012": [0, 0, 9],                // direction of motion of moving observing platform
+    "001013": [0, 0, 10],               // speed of motion of moving observing platform (m/s)
+    "001015": [0, 0, 160, "s"],         // station or site name
+    "002001": [0, 0, 2, "c"],                // type of station
+    "002002": [0, 0, 4, "c"],                // type of instrumentation for wind measurement
+    "002004": [0, 0, 4, "c"],                // type of instrumentation for evaporation measurement
+    "002038": [0, 0, 4, "c"],                // method of water temperature and/or salinity measurement
+    "002039": [0, 0, 3, "c"],                // method of wet-bulb temperature measurement
+    "004001": [0, 0, 12],               // year
+    "004002": [0, 0, 4],                // month
+    "004003": [0, 0, 6],                // day
+    "004004": [0, 0, 5],                // hour
+    "004005": [0, 0, 6],                // minute
+    "004024": [0, -2048, 12],           // time period or displacement (h)
+    "004025": [0, -2048, 12],           // time period or displacement (min)
+    "005001": [5, -9000000, 25],        // latitude (high accuracy)
+    "005021": [2, 0, 16],               // bearing or azimuth
+    "006001": [5, -18000000, 26],       // longitude (high accuracy)
+    "007004": [-1, 0, 14],              // pressure (standard level)
+    "007021": [2, -9000, 15],           // elevation
+    "007030": [1, -4000, 17],           // height of station ground above mean sea level
+    "007031": [1, -4000, 17],           // height of barometer above mean sea level
+    "007032": [2, 0, 16],               // height of sensor above local ground
+    "007033": [1, 0, 12],               // height of sensor above water surface
+    "007063": [2, 0, 20],               // depth below sea/water surface
+    "008002": [0, 0, 6, "c"],                // vertical significance (surface observations)
+    "008021": [0, 0, 5, "c"],                // time significance
+    "010004": [-1, 0, 14],              // pressure (Pa)
+    "010009": [0, -1000, 17],           // geopotential height
+    "010051": [-1, 0, 14],              // pressure reduced to mean sea level (Pa)
+    "010061": [-1, -500, 10],           // 3-hour pressure change (Pa)
+    "010062": [-1, -1000, 11],          // 24-hour pressure change (Pa)
+    "010063": [0, 0, 4, "c"],                // characteristic of pressure tendency
+    "011001": [0, 0, 9],                // wind direction
+    "011002": [1, 0, 12],               // wind speed (m/s)
+    "011041": [1, 0, 12],               // maximum wind gust speed (m/s)
+    "011043": [0, 0, 9],                // maximum wind gust direction
+    "012049": [0, -30, 6],              // temperature change over specified period
+    "012101": [2, 0, 16],               // air temperature (K)
+    "012102": [2, 0, 16],               // wet-bulb temperature (K)
+    "012103": [2, 0, 16],               // dew-point temperature (K)
+    "012111": [2, 0, 16],               // maximum temperature, at height and over period specified (K)
+    "012112": [2, 0, 16],               // minimum temperature, at height and over period specified (K)
+    "012113": [2, 0, 16],               // ground minimum temperature, past 12 hours (K)
+    "013003": [0, 0, 7],                // relative humidity
+    "013011": [1, -1, 14],              // total precipitation / total water equivalent (kg m-2)
+    "013013": [2, -2, 16],              // total snow depth (m)
+    "013023": [1, -1, 14],              // total precipitation past 24 hours (kg m-2)
+    "013033": [1, 0, 10],               // evaporation/evapotranspiration
+    "014002": [-3, -65536, 17],         // long-wave radiation
+    "014004": [-3, -65536, 17],         // short-wave radiation
+    "014016": [-4, -16384, 15],         // net radiation
+    "014028": [-2, 0, 20],              // global solar radiation (high accuracy)
+    "014029": [-2, 0, 20],              // diffuse solar radiation (high accuracy)
+    "014030": [-2, 0, 20],              // direct solar radiation (high accuracy)
+    "014031": [0, 0, 11],               // total sunshine
+    "020001": [-1, 0, 13],              // horizontal visibility (m)
+    "020003": [0, 0, 9, "c"],                // present weather
+    "020004": [0, 0, 5, "c"],                // past weather (1)
+    "020005": [0, 0, 5, "c"],                // past weather (2)
+    "020010": [0, 0, 7],                // cloud cover (total, %)
+    "020011": [0, 0, 4, "c"],                // cloud amount
+    "020012": [0, 0, 6, "c"],                // cloud type
+    "020013": [-1, -40, 11],            // height of base of cloud (m)
+    "020014": [-1, -40, 11],            // height of top of cloud (m)
+    "020017": [0, 0, 4, "c"],                // cloud top description
+    "020031": [2, 0, 7],                // ice deposit (thickness)
+    "020032": [0, 0, 3, "c"],                // rate of ice accretion
+    "020033": [0, 0, 4, "c"],                // cause of ice accretion
+    "020034": [0, 0, 5, "c"],                // sea ice concentration
+    "020035": [0, 0, 4, "c"],                // amount and type of ice
+    "020036": [0, 0, 5, "c"],                // ice situation
+    "020037": [0, 0, 5, "c"],                // ice development
+    "020038": [0, 0, 12],               // bearing of ice edge
+    "020054": [0, 0, 9],                // true direction from which clouds are moving
+    "020062": [0, 0, 5, "c"],                // state of the ground (with or without snow)
+    "022001": [0, 0, 9],                // direction of waves
+    "022002": [0, 0, 9],                // direction of wind waves
+    "022003": [0, 0, 9],                // direction of swell waves
+    "022011": [0, 0, 6],                // period of waves (s)
+    "022012": [0, 0, 6],                // period of wind waves (s)
+    "022013": [0, 0, 6],                // period of swell waves (s)
+    "022021": [1, 0, 10],               // height of waves (m)
+    "022022": [1, 0, 10],               // height of wind waves (m)
+    "022023": [1, 0, 10],               // height of swell waves (m)
+    "022043": [2, 0, 15],               // sea/water temperature (K)
+    "031000": [0, 0, 1, "c"],                // short delayed descriptor replication factor
+    "031001": [0, 0, 8, "c"],                // delayed descriptor replication factor
+    "031002": [0, 0, 16, "c"],               // extended delayed descriptor replication factor
+    "033024": [0, 0, 4, "c"]                 // station elevation quality mark (for mobile stations)
+};
+
+// Table D sequences used by the supported templates
+const TABLE_D = {
+    "307080": ["301090", "302031", "302035", "302036", "302047", "008002", "302048", "302037", "302043", "302044", "101002", "302045", "302046"],
+    "307096": ["301092", "302031", "302035", "302036", "302047", "008002", "302048", "302037", "302043", "302044", "101002", "302045", "302046"],
+    "308009": ["301093", "302001", "302054", "008002", "302055", "302057", "302060"],
+    "301090": ["301004", "301011", "301012", "301021", "007030", "007031"],
+    "301092": ["001011", "002001", "301011", "301012", "301021", "007030", "007031", "033024"],
+    "301093": ["001011", "001012", "001013", "002001", "301011", "301012", "301021", "007030", "007031"],
+    "301004": ["001001", "001002", "001015", "002001"],
+    "301011": ["004001", "004002", "004003"],
+    "301012": ["004004", "004005"],
+    "301021": ["005001", "006001"],
+    "302031": ["302001", "010062", "007004", "010009"],
+    "302001": ["010004", "010051", "010061", "010063"],
+    "302035": ["302032", "302033", "302034", "007032", "302004", "101000", "031001", "302005"],
+    "302032": ["007032", "012101", "012103", "013003"],
+    "302033": ["007032", "020001"],
+    "302034": ["007032", "013023"],
+    "302004": ["020010", "008002", "020011", "020013", "020012", "020012", "020012"],
+    "302005": ["008002", "020011", "020012", "020013"],
+    "302036": ["105000", "031001", "008002", "020011", "020012", "020014", "020017"],
+    "302047": ["102003", "008002", "020054"],
+    "302048": ["005021", "007021", "020012", "005021", "007021"],
+    "302037": ["020062", "013013", "012113"],
+    "302043": ["302038", "101002", "302039", "302040", "302041", "302042", "007032"],
+    "302038": ["020003", "004024", "020004", "020005"],
+    "302039": ["004024", "014031"],
+    "302040": ["007032", "102002", "004024", "013011"],
+    "302041": ["007032", "004024", "004024", "012111", "004024", "004024", "012112"],
+    "302042": ["007032", "002002", "008021", "004025", "011001", "011002", "008021", "103002", "004025", "011043", "011041"],
+    "302044": ["004024", "002004", "013033"],
+    "302045": ["004024", "014002", "014004", "014016", "014028", "014029", "014030"],
+    "302046": ["004024", "004024", "012049"],
+    "302052": ["007032", "007033", "012101", "002039", "012102", "012103", "013003"],
+    "302053": ["007032", "007033", "020001"],
+    "302054": ["302052", "302053", "007033", "302034", "007032", "302004", "101000", "031001", "302005"],
+    "302055": ["020031", "020032", "020033", "020034", "020035", "020036", "020037", "020038"],
+    "302056": ["002038", "007063", "022043", "007063"],
+    "302057": ["302056", "302021", "302024"],
+    "302021": ["022001", "022011", "022021"],
+    "302024": ["302022", "302023"],
+    "302022": ["022002", "022012", "022022"],
+    "302023": ["103002", "022003", "022013", "022023"],
+    "302058": ["007032", "007033", "004024", "004024", "012111", "004024", "004024", "012112"],
+    "302059": ["007032", "007033", "002002", "008021", "004025", "011001", "011002", "008021", "103002", "004025", "011043", "011041"],
+    "302060": ["302038", "302040", "302058", "302059"]
+};
+
+// supported templates: fixed land, mobile land and sea stations
+const TEMPLATES = ["307080", "307096", "308009"];
+
+// BUFR message as bytes, from an ArrayBuffer, a typed array or a base64 string
+function toBytes(input) {
+    if (typeof input == "string") {
+        return Uint8Array.from(atob(input.replace(/\s+/g, "")), char => char.charCodeAt(0));
+    }
+    if (ArrayBuffer.isView(input)) {
+        return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+    }
+    if (input instanceof ArrayBuffer) {
+        return new Uint8Array(input);
+    }
+    throw new Error('BUFR input must be an ArrayBuffer, a typed array or a base64 string');
+}
+
+// reads the data of section 4 bit by bit
+function bitReader(bytes, offset) {
+    var position = 0;
+    return {
+        read(width) {
+            var value = 0;
+            for (var n = 0; n < width; n++, position++) {
+                value = value * 2 + ((bytes[offset + (position >> 3)] >> (7 - (position & 7))) & 1);
+            }
+            return value;
+        },
+        readString(width) {
+            var chars = [];
+            for (var n = 0; n < width / 8; n++) chars.push(this.read(8));
+            if (chars.every(char => char == 255)) return null;
+            return String.fromCharCode(...chars).trim();
+        },
+        position() {
+            return position;
+        }
+    };
+}
+
+// reads one element of Table B: its values in the subsets read at once (all of them for compressed data, one otherwise).
+// Compressed data holds the minimum value and the increments of all subsets.
+function readElement(fxy, reader, state) {
+    var entry = TABLE_B[fxy];
+    if (entry == null) throw new Error(`BUFR descriptor ${fxy} is not supported`);
+    var [scale, reference, width, type] = entry;
+    if (type == "s") {
+        var text = reader.readString(width);
+        if (!state.compressed) {
+            return [text];
+        }
+        var textWidth = reader.read(6);
+        var texts = [];
+        for (var s = 0; s < state.subsets; s++) texts.push(textWidth > 0 ? reader.readString(textWidth * 8) : text);
+        return texts;
+    }
+    if (type != "c") {
+        // operators 201YYY and 202YYY do not apply to code and flag tables
+        width += state.widthChange;
+        scale += state.scaleChange;
+    }
+    var missing = Math.pow(2, width) - 1;
+    var raw = reader.read(width);
+    var raws = [raw];
+    if (state.compressed) {
+        var incrementWidth = reader.read(6);
+        raws = [];
+        for (var s = 0; s < state.subsets; s++) {
+            if (incrementWidth == 0) {
+                raws.push(raw);
+            } else {
+                var increment = reader.read(incrementWidth);
+                raws.push(increment == Math.pow(2, incrementWidth) - 1 || raw == missing ? missing : raw + increment);
+            }
+        }
+    }
+    return raws.map(value => (value == missing && width > 1 ? null : Number(((value + reference) / Math.pow(10, scale)).toFixed(Math.max(scale, 0)))));
+}
+
+// expands and reads a list of descriptors, appending [fxy, values in the subsets read at once] pairs to values
+function readDescriptors(descriptors, reader, state, values) {
+    for (var i = 0; i < descriptors.length; i++) {
+        var fxy = descriptors[i];
+        var f = Number(fxy[0]);
+        var x = Number(fxy.slice(1, 3));
+        var y = Number(fxy.slice(3, 6));
+        if (f == 0) {
+            values.push([fxy, readElement(fxy, reader, state)]);
+        } else if (f == 1) {
+            // replication of the following x descriptors, y times (or as given by the delayed replication factor)
+            var count = y;
+            if (y == 0) {
+                i++;
+                var counts = readElement(descriptors[i], reader, state);
+                count = counts[0];  // the same in all subsets of compressed data
+                values.push([descriptors[i], counts]);
+            }
+            var replicated = descriptors.slice(i + 1, i + 1 + x);
+            for (var n = 0; n < count; n++) readDescriptors(replicated, reader, state, values);
+            i += x;
+        } else if (f == 2 && x == 1) {
+            state.widthChange = (y == 0 ? 0 : y - 128);
+        } else if (f == 2 && x == 2) {
+            state.scaleChange = (y == 0 ? 0 : y - 128);
+        } else if (f == 3 && TABLE_D[fxy] != null) {
+            readDescriptors(TABLE_D[fxy], reader, state, values);
+        } else {
+            throw new Error(`BUFR descriptor ${fxy} is not supported`);
+        }
+    }
+}
+
+// decodes sections 0-4 of a BUFR message (edition 3 or 4) into the [fxy, value] pairs of each of its subsets
+function decodeBufrMessage(bytes) {
+    var start = -1;
+    for (var b = 0; b + 3 < bytes.length; b++) {
+        if (bytes[b] == 66 && bytes[b + 1] == 85 && bytes[b + 2] == 70 && bytes[b + 3] == 82) { start = b; break; }   // "BUFR"
+    }
+    if (start == -1) throw new Error('Not a BUFR message, indicator "BUFR" not found');
+    var uint24 = (offset => (bytes[offset] << 16) | (bytes[offset + 1] << 8) | bytes[offset + 2]);
+    var edition = bytes[start + 7];
+    if (edition != 3 && edition != 4) throw new Error(`BUFR edition ${edition} is not supported`);
+
+    // section 1 (identification), section 2 (optional, local use)
+    var offset = start + 8;
+    var hasSection2 = (bytes[offset + (edition == 4 ? 9 : 7)] & 0x80) != 0;
+    offset += uint24(offset);
+    if (hasSection2) offset += uint24(offset);
+
+    // section 3 (data description)
+    var section3Length = uint24(offset);
+    var subsets = (bytes[offset + 4] << 8) | bytes[offset + 5];
+    var compressed = (bytes[offset + 6] & 0x40) != 0;
+    var descriptors = [];
+    for (var d = offset + 7; d + 1 < offset + section3Length; d += 2) {
+        var f = bytes[d] >> 6;
+        var x = bytes[d] & 0x3f;
+        var y = bytes[d + 1];
+        descriptors.push(String(f) + String(x).padStart(2, "0") + String(y).padStart(3, "0"));
+    }
+    var template = TEMPLATES.find(fxy => descriptors.includes(fxy));
+    if (template == null) {
+        throw new Error(`BUFR template ${descriptors.join(" ")} is not supported (TM 307080, TM 307096 or TM 308009 expected)`);
+    }
+    offset += section3Length;
+
+    // section 4 (data): compressed data holds each element of all subsets together, otherwise the subsets follow each other
+    var dataBits = (uint24(offset) - 4) * 8;
+    var reader = bitReader(bytes, offset + 4);
+    var subsetValues = [];
+    if (compressed) {
+        let values = [];
+        readDescriptors(descriptors, reader, {compressed: true, subsets: subsets, widthChange: 0, scaleChange: 0}, values);
+        for (let s = 0; s < subsets; s++) {
+            subsetValues.push(values.map(([fxy, elementValues]) => [fxy, elementValues[s]]));
+        }
+    } else {
+        for (let s = 0; s < subsets; s++) {
+            let values = [];
+            readDescriptors(descriptors, reader, {compressed: false, subsets: 1, widthChange: 0, scaleChange: 0}, values);
+            subsetValues.push(values.map(([fxy, elementValues]) => [fxy, elementValues[0]]));
+        }
+    }
+    // the data is padded to whole octets (to an even number of them in edition 3): any other difference means the template was expanded differently than it was encoded
+    if (reader.position() > dataBits || dataBits - reader.position() >= 16) {
+        throw new Error(`BUFR data does not match template TM ${template} (${reader.position()} bits read, ${dataBits} in section 4)`);
+    }
+    return {template: template, subsets: subsetValues};
+}
+
+// the subsets of a message are converted one by one (one station model each): the last message decoded is kept
+var lastDecoded = {input: null, message: null};
+function decodeBufr(input) {
+    if (input !== lastDecoded.input) {
+        lastDecoded = {input: input, message: decodeBufrMessage(toBytes(input))};
+    }
+    return lastDecoded.message;
+}
+
+// position [lon, lat] of each subset (station) of a BUFR message (ArrayBuffer, typed array or base64 string), null where it is missing
+// throws an Error if the message can not be decoded
+function bufrSubsetPositions(input) {
+    return decodeBufr(input).subsets.map((values) => {
+        var latitude = values.find(([fxy]) => fxy == "005001");
+        var longitude = values.find(([fxy]) => fxy == "006001");
+        return (latitude != null && latitude[1] != null && longitude != null && longitude[1] != null ? [longitude[1], latitude[1]] : null);
+    });
+}
+
+// decodes one subset (station, default: the first) of a BUFR message (ArrayBuffer, typed array or base64 string) of template TM 307080, TM 307096 or TM 308009
+// into the decoded structure plotted by meteoStation(). Throws an Error if the message can not be decoded.
+function decodeBufrSubset(input, subset = 0) {
+    var decoded = decodeBufr(input);
+    if (subset >= decoded.subsets.length) throw new Error(`BUFR message has no subset ${subset}, only ${decoded.subsets.length}`);
+    var message = {template: decoded.template, values: decoded.subsets[subset]};
+
+    // first value of each element, and the elements depending on the preceding time period
+    var first = {};
+    var cloudTypes = [];
+    var precipitation = [];
+    var gusts = [];
+    var swells = [];
+    var maxTemperature = null, minTemperature = null;
+    var periodHours = null;
+    var periodMinutes = null, gustDirection = null;
+    var swellDirection = null, swellPeriod = null;
+    message.values.forEach(([fxy, value]) => {
+        if (!(fxy in first)) first[fxy] = value;
+        switch (fxy) {
+            case "004024":
+                periodHours = value;
+                break;
+            case "004025":
+                periodMinutes = value;
+                break;
+            case "020012":
+                cloudTypes.push(value);     // the first three are CL, CM and CH of sequence 302004
+                break;
+            case "013011":
+                precipitation.push({amount: value, period: (periodHours != null ? Math.abs(periodHours) : null)});
+                break;
+            case "012111":
+                maxTemperature = value;
+                break;
+            case "012112":
+                minTemperature = value;
+                break;
+            case "011043":
+                gustDirection = value;
+                break;
+            case "011041":
+                gusts.push({speed: value, direction: gustDirection, period: (periodMinutes != null ? Math.abs(periodMinutes) : null)});
+                break;
+            case "022003":
+                swellDirection = value;
+                break;
+            case "022013":
+                swellPeriod = value;
+                break;
+            case "022023":
+                swells.push({direction: swellDirection, period: swellPeriod, height: value});   // two swell systems, sequence 302023
+                break;
+        }
+    });
+    var get = (fxy => (first[fxy] !== undefined ? first[fxy] : null));
+    var celsius = (kelvin => (kelvin != null ? kelvin - 273.15 : null));
+    var hectopascal = (pascal => (pascal != null ? pascal / 100 : null));
+
+    if (get("004003") == null || get("004004") == null) throw new Error('BUFR message has no date and time of observation');
+    if (message.template == "307080" && (get("001001") == null || get("001002") == null)) throw new Error('BUFR message has no WMO block and station number');
+
+    // present weather, code table 0 20 003: 0-99 ww, 100-199 wawa, 200-299 w1w1, 508 no significant phenomenon, 509-511 not observed
+    var weather = get("020003");
+    // cloud type, code table 0 20 012: 10-19 CH, 20-29 CM, 30-39 CL
+    var [CL, CM, CH] = [30, 20, 10].map((offset, idx) => (cloudTypes[idx] != null && cloudTypes[idx] >= offset && cloudTypes[idx] <= offset + 9 ? cloudTypes[idx] - offset : null));
+    // state of the ground, code table 0 20 062: 0-9 E, 10-19 E'
+    var groundState = get("020062");
+    // total snow depth in m: -0.01 is less than 0.5 cm, -0.02 is snow cover not continuous
+    var snowDepth = get("013013");
+    // total cloud cover in % to N in oktas, code table 2700: only a clear sky is 0 and only an overcast sky 8, 113 % is sky obscured (9)
+    var cover = get("020010");
+    var N = (cover == null ? null : (cover == 0 ? 0 : (cover == 100 ? 8 : (cover > 100 ? 9 : Math.min(Math.max(Math.round(cover / 12.5), 1), 7)))));
+
+    var observation = {
+        stationId: (message.template == "307080" ? String(get("001001") * 1000 + get("001002")).padStart(5, "0") : null),
+        callsign: (message.template == "307096" ? (get("001011") || "MOBIL") : (message.template == "308009" ? (get("001011") || "SHIP") : null)),
+        sea: (message.template == "308009"),
+        latitude: get("005001"),
+        longitude: get("006001"),
+        elevation: get("007030"),
+        day: get("004003"),
+        hour: get("004004"),
+        minute: get("004005"),
+        automatic: (get("002001") == 0),
+        windUnit: "m/s",
+        windDirection: get("011001"),
+        windSpeed: get("011002"),
+        gusts: gusts,
+        airTemperature: celsius(get("012101")),
+        dewpointTemperature: celsius(get("012103")),
+        maximumTemperature: celsius(maxTemperature),
+        minimumTemperature: celsius(minTemperature),
+        groundMinimumTemperature: celsius(get("012113")),
+        relativeHumidity: get("013003"),
+        stationPressure: hectopascal(get("010004")),
+        seaLevelPressure: hectopascal(get("010051")),
+        pressureChange: hectopascal(get("010061")),
+        pressureTendency: get("010063"),
+        visibility: get("020001"),
+        cloudBase: get("020013"),
+        cloudCover: N,
+        lowCloudAmount: (get("020011") != null && get("020011") <= 9 ? get("020011") : null),
+        lowClouds: CL,
+        mediumClouds: CM,
+        highClouds: CH,
+        presentWeather: (weather != null && weather < 100 ? weather : null),
+        presentWeatherAutomatic: (weather != null && weather >= 100 && weather < 200 ? weather - 100 : null),
+        supplementaryWeather: (weather != null && weather >= 200 && weather < 300 ? weather - 200 : null),
+        noSignificantWeather: (weather == 508),
+        // past weather, code table 0 20 004: 0-9 manned, 10-19 automatic stations
+        pastWeather1: (get("020004") != null && get("020004") <= 19 ? get("020004") % 10 : null),
+        pastWeather2: (get("020005") != null && get("020005") <= 19 ? get("020005") % 10 : null),
+        precipitation: precipitation[0],
+        precipitationSection3: precipitation[1],
+        precipitation24h: get("013023"),
+        groundState: (groundState != null && groundState <= 9 ? groundState : null),
+        groundStateSnow: (groundState != null && groundState >= 10 && groundState <= 19 ? groundState - 10 : null),
+        snowDepth: (snowDepth == null ? null : (snowDepth == -0.01 ? 997 : (snowDepth == -0.02 ? 998 : Math.round(snowDepth * 100)))),
+        // sea stations: sea surface temperature, instrumental waves (sequence 302021), wind waves (302022), swell (302023) and the ship's movement
+        seaSurfaceTemperature: celsius(get("022043")),
+        wavePeriod: get("022011"),
+        waveHeight: get("022021"),
+        windWavePeriod: get("022012"),
+        windWaveHeight: get("022022"),
+        swells: swells,
+        shipDirection: get("001012"),
+        shipSpeed: get("001013")
+    };
+    return decodeObservation(observation);
+}
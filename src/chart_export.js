@@ -0,0 +1,160 @@
+/**
+ * station-model-symbology: chart_export.js
+ *
+ * Composes station models, placed on a chart, into one standalone SVG document, and rasterises it to PNG at a chosen resolution (browser only).
+ * Used by the export of the Leaflet wrapper (exportChart(), exportChartPng()) and of the Node.js renderer (renderChart()).
+ */
+
+export { composeChart, rasterizeChart, symbolScale, scaledSymbol };
+
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+
+function escapeAttribute(value) {
+    return String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/"/g, "&quot;");
+}
+
+// SVG element to string: XMLSerializer in the browser, the elements of svg_document.js serialise themselves
+function serializeSymbol(element) {
+    return (typeof XMLSerializer != "undefined" ? new XMLSerializer().serializeToString(element) : element.toString());
+}
+
+// scaling of a station model: its root transform scale() (option scaling.stationModel), a CSS transform around its center on web maps
+function symbolScale(symbol) {
+    var scaling = /scale\(([-\d.e]+)\)/.exec(symbol.getAttribute('transform') || "");
+    return (scaling != null ? Number(scaling[1]) : 1);
+}
+
+// copy of a station model for use as an image (OpenLayers icon, MapLibre image): the scaling goes into its width and height, the viewBox keeps the drawing,
+// as an image ignores the root transform (or applies it from the top left corner, cutting off the outer cells)
+function scaledSymbol(symbol) {
+    var scale = symbolScale(symbol);
+    var copy = symbol.cloneNode(true);
+    copy.removeAttribute('transform');
+    copy.setAttribute('width', Number(symbol.getAttribute('width')) * scale);
+    copy.setAttribute('height', Number(symbol.getAttribute('height')) * scale);
+    return copy;
+}
+
+// one station model, centered on its position: the scaling of the symbol becomes an SVG transform
+function placedSymbol(symbol, x, y) {
+    var width = Number(symbol.getAttribute('width'));
+    var height = Number(symbol.getAttribute('height'));
+    var scale = symbolScale(symbol);
+
+    var copy = symbol.cloneNode(true);
+    copy.removeAttribute('transform');
+    copy.removeAttribute('style');
+    return `<g transform="translate(${+x.toFixed(2)} ${+y.toFixed(2)}) scale(${scale}) translate(${-width / 2} ${-height / 2})">${serializeSymbol(copy)}</g>`;
+}
+
+// SVG document of a chart: stations are [{symbol (SVG element of meteoStation()), x, y}], in pixels from the top left corner of the chart
+// options: width, height (pixels), background (CSS color, null for transparent), backgroundImage (URL of an image covering the whole chart, e.g. a basemap of the same extent),
+// fontSize (pixels) and fontFamily of the values, as inherited by the station models on a web map (defaults: those of Leaflet)
+function composeChart(stations, options) {
+    var width = options.width;
+    var height = options.height;
+    var fontSize = (options.fontSize != null ? options.fontSize : 12);
+    var fontFamily = (options.fontFamily != null ? options.fontFamily : "'Helvetica Neue', Arial, Helvetica, sans-serif");
+
+    var content = [];
+    if (options.background != null) {
+        content.push(`<rect width="${width}" height="${height}" fill="${escapeAttribute(options.background)}"/>`);
+    }
+    if (options.backgroundImage != null) {
+        content.push(`<image href="${escapeAttribute(options.backgroundImage)}" width="${width}" height="${height}" preserveAspectRatio="none"/>`);
+    }
+    stations.forEach((station) => {
+        // stations beyond the edge are left out, unless their symbol reaches into the chart
+        var margin = Number(station.symbol.getAttribute('width')) * 2;
+        if (station.x > -margin && station.x < width + margin && station.y > -margin && station.y < height + margin) {
+            content.push(placedSymbol(station.symbol, station.x, station.y));
+        }
+    });
+
+    return `<svg xmlns="${SVG_NAMESPACE}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-size="${fontSize}px" font-family="${escapeAttribute(fontFamily)}">`
+        + content.join("") + `</svg>`;
+}
+
+// CRC-32 of PNG chunks
+var crcTable = null;
+function crc32(bytes) {
+    if (crcTable == null) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = (c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1);
+            crcTable[n] = c >>> 0;
+        }
+    }
+    var crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// adds the resolution to a PNG file (pHYs chunk, right after IHDR), so it is printed at the intended size
+function withResolution(png, dpi) {
+    var pixelsPerMetre = Math.round(dpi / 0.0254);
+    var chunk = new Uint8Array(21);
+    var view = new DataView(chunk.buffer);
+    view.setUint32(0, 9);
+    chunk.set([0x70, 0x48, 0x59, 0x73], 4);     // "pHYs"
+    view.setUint32(8, pixelsPerMetre);
+    view.setUint32(12, pixelsPerMetre);
+    chunk[16] = 1;                              // unit: metre
+    view.setUint32(17, crc32(chunk.subarray(4, 17)));
+
+    var ihdrEnd = 8 + 25;                       // signature, IHDR chunk
+    var result = new Uint8Array(png.length + chunk.length);
+    result.set(png.subarray(0, ihdrEnd));
+    result.set(chunk, ihdrEnd);
+    result.set(png.subarray(ihdrEnd), ihdrEnd + chunk.length);
+    return result;
+}
+
+// URL of an image as a data: URL, as an SVG drawn as an image can not load anything itself
+async function imageDataUrl(url) {
+    if (/^data:/.test(url)) return url;
+    var blob = await (await fetch(url)).blob();
+    return new Promise((resolve, reject) => {
+        var reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+// rasterises a chart (stations and options, see composeChart()) to a PNG Blob, at options.dpi (default 96: one pixel per CSS pixel), on an OffscreenCanvas if the browser has one
+async function rasterizeChart(stations, options) {
+    var width = options.width;
+    var height = options.height;
+    var dpi = (options.dpi != null ? options.dpi : 96);
+    var ratio = dpi / 96;
+    if (options.backgroundImage != null) {
+        options = Object.assign({}, options, {backgroundImage: await imageDataUrl(options.backgroundImage)});
+    }
+    var svg = composeChart(stations, options);
+
+    var image = new Image();
+    image.src = URL.createObjectURL(new Blob([svg], {type: "image/svg+xml"}));
+    try {
+        await image.decode();
+    } finally {
+        URL.revokeObjectURL(image.src);
+    }
+
+    var pixelWidth = Math.round(width * ratio);
+    var pixelHeight = Math.round(height * ratio);
+    var canvas;
+    if (typeof OffscreenCanvas != "undefined") {
+        canvas = new OffscreenCanvas(pixelWidth, pixelHeight);
+    } else {
+        canvas = document.createElement('canvas');
+        canvas.width = pixelWidth;
+        canvas.height = pixelHeight;
+    }
+    canvas.getContext('2d').drawImage(image, 0, 0, pixelWidth, pixelHeight);
+
+    var blob = await (canvas.convertToBlob != null ? canvas.convertToBlob({type: "image/png"}) : new Promise(resolve => canvas.toBlob(resolve, "image/png")));
+    var png = new Uint8Array(await blob.arrayBuffer());
+    return new Blob([withResolution(png, dpi)], {type: "image/png"});
+}
@@ -0,0 +1,160 @@
+/**
+ * station-model-symbology: decode_cache.js
+ *
+ * Cache of decoded reports, keyed by the raw report, so reports decoded once skip the decoder workers.
+ * Two layers: in memory (per page) and, optionally, IndexedDB (kept across visits). Both are limited in number of entries, the oldest are dropped first.
+ * Only successfully decoded reports are cached.
+ */
+
+export { getCachedDecode, putCachedDecode, clearDecodeCache };
+
+// bump when the decoded structure changes, so reports decoded by older versions are not plotted
+const CACHE_VERSION = 5;
+const DB_NAME = "station-model-symbology";
+const STORE_NAME = "decoded";
+
+var memoryCache = new Map();    // key -> decoded, in order of last use
+var database = null;            // Promise of the IndexedDB database, or of null if it is not available
+var writesSinceTrim = 0;        // IndexedDB is trimmed every 100 writes, not on each one
+
+// default limits, overridden by option "cache"
+const DEFAULT_CACHE = {
+    memory: 5000,           // entries kept in memory, 0 disables the cache
+    indexedDB: false,       // also keep the decoded reports in IndexedDB
+    indexedDBEntries: 50000 // entries kept in IndexedDB
+};
+
+function cacheOptions(options) {
+    if (options.cache === false) return Object.assign({}, DEFAULT_CACHE, {memory: 0, indexedDB: false});
+    return Object.assign({}, DEFAULT_CACHE, options.cache);
+}
+
+// cache key of a report ({SYNOP_raw, BUFR_raw, BUFR_subset, METAR_raw}): type of report, decoder backend (SYNOP only) and the report itself (binary BUFR as base64, with the subset)
+function cacheKey(report, options) {
+    if (report.METAR_raw != null) return "METAR|" + report.METAR_raw;
+    if (report.BUFR_raw != null) {
+        var bufr = report.BUFR_raw;
+        if (typeof bufr != "string") {
+            var bytes = (bufr instanceof ArrayBuffer ? new Uint8Array(bufr) : new Uint8Array(bufr.buffer, bufr.byteOffset, bufr.byteLength));
+            var chars = [];
+            for (var i = 0; i < bytes.length; i += 0x8000) chars.push(String.fromCharCode(...bytes.subarray(i, i + 0x8000)));
+            bufr = btoa(chars.join(""));
+        }
+        return `BUFR|${report.BUFR_subset || 0}|${bufr.replace(/\s+/g, "")}`;
+    }
+    if (report.SYNOP_raw != null) return `SYNOP|${options.decoder}|${String(report.SYNOP_raw).trim()}`;
+    return null;
+}
+
+function openDatabase() {
+    if (database == null) {
+        database = new Promise((resolve) => {
+            if (typeof indexedDB == "undefined") {
+                resolve(null);
+                return;
+            }
+            var request = indexedDB.open(DB_NAME, CACHE_VERSION);
+            request.onupgradeneeded = () => {
+                var db = request.result;
+                if (db.objectStoreNames.contains(STORE_NAME)) db.deleteObjectStore(STORE_NAME);   // decoded by an older version
+                db.createObjectStore(STORE_NAME, {keyPath: "key"}).createIndex("time", "time");
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('Decode cache: IndexedDB is not available, caching in memory only.', request.error);
+                resolve(null);
+            };
+        });
+    }
+    return database;
+}
+
+// IndexedDB request as a Promise
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function rememberInMemory(key, decoded, limit) {
+    memoryCache.delete(key);
+    memoryCache.set(key, decoded);
+    while (memoryCache.size > limit) {
+        memoryCache.delete(memoryCache.keys().next().value);
+    }
+}
+
+// drops the oldest entries of IndexedDB above the limit
+async function trimDatabase(db, limit) {
+    var store = db.transaction(STORE_NAME, "readwrite").objectStore(STORE_NAME);
+    var excess = (await promisify(store.count())) - limit;
+    if (excess <= 0) return;
+    var cursorRequest = store.index("time").openCursor();
+    cursorRequest.onsuccess = () => {
+        var cursor = cursorRequest.result;
+        if (cursor != null && excess-- > 0) {
+            cursor.delete();
+            cursor.continue();
+        }
+    };
+}
+
+// resolves with {decoded, error: null} for a cached report, or null if it is not cached
+async function getCachedDecode(report, options) {
+    var settings = cacheOptions(options);
+    var key = cacheKey(report, options);
+    if (key == null || settings.memory <= 0) return null;
+
+    if (memoryCache.has(key)) {
+        var decoded = memoryCache.get(key);
+        rememberInMemory(key, decoded, settings.memory);
+        return {decoded: decoded, error: null};
+    }
+    if (settings.indexedDB) {
+        try {
+            var db = await openDatabase();
+            if (db != null) {
+                var entry = await promisify(db.transaction(STORE_NAME, "readonly").objectStore(STORE_NAME).get(key));
+                if (entry != null) {
+                    rememberInMemory(key, entry.decoded, settings.memory);
+                    return {decoded: entry.decoded, error: null};
+                }
+            }
+        } catch (error) {
+            console.warn('Decode cache: IndexedDB read failed.', error);
+        }
+    }
+    return null;
+}
+
+// caches a decoded report (in the background for IndexedDB)
+function putCachedDecode(report, decoded, options) {
+    var settings = cacheOptions(options);
+    var key = cacheKey(report, options);
+    if (key == null || decoded == null || settings.memory <= 0) return;
+
+    rememberInMemory(key, decoded, settings.memory);
+    if (settings.indexedDB) {
+        openDatabase().then((db) => {
+            if (db == null) return;
+            var store = db.transaction(STORE_NAME, "readwrite").objectStore(STORE_NAME);
+            return promisify(store.put({key: key, decoded: decoded, time: Date.now()})).then(() => {
+                if (++writesSinceTrim >= 100) {
+                    writesSinceTrim = 0;
+                    return trimDatabase(db, settings.indexedDBEntries);
+                }
+            });
+        }).catch(error => console.warn('Decode cache: IndexedDB write failed.', error));
+    }
+}
+
+// empties both layers of the cache, resolves when done
+async function clearDecodeCache() {
+    memoryCache.clear();
+    if (typeof indexedDB == "undefined") return;
+    var db = await openDatabase();
+    if (db != null) {
+        await promisify(db.transaction(STORE_NAME, "readwrite").objectStore(STORE_NAME).clear());
+    }
+}
@@ -0,0 +1,93 @@
+/**
+ * station-model-symbology: feature_report.js
+ *
+ * Picks the report of a feature for meteoStation(), from its properties and the options of a wrapper ("field", "bufrField", "metarField", "propertyFields").
+ * Shared by the wrappers for the web mapping libraries.
+ */
+
+import { reportPosition } from './synop_decoder';
+import { bufrSubsetPositions } from './bufr_decoder';
+
+export { featureReport, featureReportPosition, featureSubsets, SUBSET_PROPERTY };
+
+const SUBSET_PROPERTY = "_bufrSubset";  // property of the features of a BUFR message with several subsets: index of the subset (station) of the feature
+
+// input of meteoStation() for a feature: the report is taken from the first of "field" (SYNOP), "bufrField" (BUFR) and "metarField" (METAR/SPECI) that has a value for this feature,
+// without a report, pre-decoded values are read from the properties named in "propertyFields"
+// returns {rawSynop, rawBufr, rawMetar, bufrSubset} or {properties}, or null if the feature has nothing to plot
+function featureReport(properties, options) {
+    var reportFields = [["synop", options.field], ["bufr", options.bufrField], ["metar", options.metarField]].filter(([, field]) => field != null);
+    var [reportType, reportField] = (reportFields.find(([, field]) => !!properties[field]) || reportFields[0] || ["synop", options.field]);
+
+    if (options.propertyFields != null && !properties[reportField]) {
+        return {properties: properties};
+    }
+
+    // check if user-defined attribute in GeoJSON exists
+    if (!properties.hasOwnProperty(reportField)) {
+        console.error('Attribute field "'+reportField+'" does not exist in given GeoJSON. Please note that attribute field input is case-sensitve. Available attribute fields: '+JSON.stringify(properties));
+        return null;
+    }
+
+    // check if user-defined attribute in GeoJSON has value
+    if (properties[reportField] == "") {
+        console.error('Attribute field "'+reportField+'" exists, but for this feature, has an empty string.');
+        return null;
+    }
+
+    return {
+        rawSynop: (reportType == "synop" ? properties[reportField] : null),
+        rawBufr: (reportType == "bufr" ? properties[reportField] : null),
+        rawMetar: (reportType == "metar" ? properties[reportField] : null),
+        bufrSubset: (reportType == "bufr" && properties[SUBSET_PROPERTY] != null ? properties[SUBSET_PROPERTY] : 0)
+    };
+}
+
+// positions of the subsets (stations) of the BUFR message of a feature, or null if it has none (or it can not be decoded)
+function featureBufrPositions(properties, options) {
+    if (options.bufrField == null || !properties[options.bufrField]) {
+        return null;
+    }
+    var report = featureReport(properties, options);
+    if (report == null || report.rawBufr == null) {
+        return null;
+    }
+    try {
+        return bufrSubsetPositions(report.rawBufr);
+    } catch (error) {
+        return null;    // the error is shown when the message is decoded for its symbol
+    }
+}
+
+// a BUFR message may hold many stations (subsets), e.g. those of a national centre: the GeoJSON feature of such a message becomes one feature per subset,
+// positioned by the subset, with its index in property "_bufrSubset". Any other feature is returned as it is (in an array).
+function featureSubsets(feature, options) {
+    if (feature == null || feature.type != "Feature" || feature.properties == null || feature.properties[SUBSET_PROPERTY] != null) {
+        return [feature];
+    }
+    var positions = featureBufrPositions(feature.properties, options);
+    if (positions == null || positions.length < 2) {
+        return [feature];
+    }
+    return positions.map((position, subset) => Object.assign({}, feature, {
+        properties: Object.assign({}, feature.properties, {[SUBSET_PROPERTY]: subset}),
+        geometry: (position != null ? {type: "Point", coordinates: position} : null)
+    }));
+}
+
+// position ([lon, lat]) of a sea or mobile station without geometry, from its SHIP / SYNOP MOBIL report (or the subset of its BUFR message), or null
+function featureReportPosition(properties, options) {
+    var report = properties[options.field];
+    var positions = (!report ? featureBufrPositions(properties, options) : null);
+    var position;
+    if (positions != null) {
+        var subset = (properties[SUBSET_PROPERTY] != null ? properties[SUBSET_PROPERTY] : 0);
+        position = (positions[subset] != null ? positions[subset] : null);
+    } else {
+        position = reportPosition(report);
+    }
+    if (position == null) {
+        console.error('Feature has no geometry, and its report does not contain a position either:', report);
+    }
+    return position;
+}
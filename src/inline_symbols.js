@@ -0,0 +1,10 @@
+/**
+ * station-model-symbology: inline_symbols.js
+ *
+ * WMO symbols built into the bundle: path within the symbols folder (e.g. "CL_CloudLow/WeatherSymbol_WMO_CloudLow_CL_1.svg") -> SVG source.
+ * Null here, so the symbols are loaded from option "symbolsBaseUrl". The "-symbols" bundles replace this module with all symbols of the station model (see rollup.config.js).
+ */
+
+export { INLINE_SYMBOLS };
+
+const INLINE_SYMBOLS = null;
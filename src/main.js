@@ -1,7 +1,8 @@
 /**
  * station-model-symbology: main.js
  * 
- * The main code logic for building station model symbols. Requires "main_worker.js" in the same folder, as it is the Web Worker for decoding SYNOP.
+ * The main code logic for building station model symbols. Requires "main_worker.js" (and "synop_decoder.js"), as it is the Web Worker for decoding SYNOP, run in a pool of workers ("worker_pool.js").
+ * Pre-decoded observations in feature properties are read in the main thread instead ("properties_decoder.js"). Decoded reports are cached ("decode_cache.js").
  * Exports meteoStation() that outputs the final SVG symbol, that can be implemented in wrappers for various web mapping libraries.
  * An example wrapper for Leaflet is provided.
  * 
@@ -43,36 +44,46 @@
 
 */
 
-export { meteoStation };
-import Main_worker from 'web-worker:./main_worker'; // for rollup, so that the worker is included in bundle
-
-let myWorker;
-var decodedSynops = [];
+export { meteoStation, clearDecodeCache, setEnvironment };
+import { decodeInWorker } from './worker_pool';
+import { getCachedDecode, putCachedDecode, clearDecodeCache } from './decode_cache';
+import { decodeProperties } from './properties_decoder';
+import { INLINE_SYMBOLS } from './inline_symbols';
 
 // DEBUG flag has to be enabled in the incoming options for meteoStation() - Debug mode shows plotting model background and dashes (-) as unavailable data
 
-// run Pyodide in Web Worker thread (takes ~2.2 sec, still faster by 1.2 sec than inline pyodide + does not block main UI thread +
-// + can be kept running in the background and reused for all synop decodings)
-if (window.Worker) {    // check if Web Workers are supported in the browser
-    myWorker = new Main_worker();
-    myWorker.postMessage(document.baseURI)
-    myWorker.onmessage = (e) => {
-        console.debug("MAIN: Message received back from worker");
-        console.debug("MAIN: Data received back from worker:", e.data);
-        decodedSynops.push(e.data)
-
-        //myWorker.terminate();
-    };
-    
-    console.debug('MAIN: sent message to worker')
-} else {
-    console.error('Web Workers are not supported in your browser. Please try again on a browser that supports the Web Workers API: https://developer.mozilla.org/en-US/docs/Web/API/Worker#browser_compatibility')
+// where the station models are built: the browser by default, replaced by the Node.js renderer (node.js) with setEnvironment()
+var environment = {
+    document: (typeof document != "undefined" ? document : null),  // creates the SVG elements
+    loadSymbol: null,               // (name within the symbols folder, options) -> SVG element of a WMO symbol, instead of loading it from "symbolsBaseUrl"
+    decodeReport: decodeInWorker    // (report, options) -> Promise of {decoded, error}
+};
+
+function setEnvironment(overrides) {
+    Object.assign(environment, overrides);
 }
 
-function loadSVGIcon(path) {
+var parsedSymbols = new Map();  // inlined symbols, parsed on first use: path within the symbols folder -> SVG element (or null, if not inlined)
+
+// load a WMO symbol, given by its path within the symbols folder ("./symbols/..."): from the bundle, if the symbols are inlined (see inline_symbols.js), or else from option "symbolsBaseUrl"
+function loadSVGIcon(path, options) {
+    var name = path.replace(/^\.\/symbols\//, "");
+    if (environment.loadSymbol != null) {
+        return environment.loadSymbol(name, options);
+    }
+    if (INLINE_SYMBOLS != null) {
+        if (!parsedSymbols.has(name)) {
+            var source = INLINE_SYMBOLS[name];
+            parsedSymbols.set(name, (source != null ? new DOMParser().parseFromString(source, "image/svg+xml").documentElement : null));
+        }
+        var symbol = parsedSymbols.get(name);
+        return (symbol != null ? environment.document.importNode(symbol, true) : null);   // a copy for each station model, as they are modified when placed
+    }
+
     var svg;
+    var base = String(options.symbolsBaseUrl).replace(/\/?$/, "/");
     var xhr = new XMLHttpRequest();
-    xhr.open("GET",path, false);
+    xhr.open("GET", base + name, false);
     xhr.overrideMimeType("image/svg+xml");
     xhr.onload = function(e) {
         if (xhr.status == 200) {
@@ -113,30 +124,10 @@ function windSpeedSymbolMatch(speed, sourceUnit) {
     return String(symbolFileNumber).padStart(2, '0');   // example output: 05, to be used in the filename later: "WeatherSymbol_WMO_WindArrowNH_05.svg"
 }
 
-async function waitForDecodedSynop(leafletID){
-
-    return new Promise((resolve, reject) => {
-        let interval = 20;  // checking interval
-        let timeOut = 10000; // waiting time before timeout
-        let timer = setInterval(() => {
-            timeOut -= interval;
-            if (timeOut < 1) {
-                clearInterval(timer);
-                reject(new Error('catching item timed out'));
-            }
-            var result = decodedSynops.find(obj => {
-                return obj.leafletID === leafletID
-            });
-            if (result)
-                resolve(result);
-        }, interval);
-    });
-}
-
 // create SVG text element for meteorological variables that are plotted as-is (either code number or exact value)
 // this function receives processed values - all value processing must happen outside this function, before calling it
 function createTextElement(value){
-    var textSvg = document.createElementNS("http://www.w3.org/2000/svg", 'text');
+    var textSvg = environment.document.createElementNS("http://www.w3.org/2000/svg", 'text');
     textSvg.innerHTML = value;
     var w = 13.33;
     var h = 13.33;
@@ -149,6 +140,228 @@ function createTextElement(value){
     return textSvg;
 }
 
+// create the wind gust element placed at the end of the wind shaft, from the center of the station circle
+// inputs:
+// - gust [number]: gust speed value, plotted as-is (in the unit of the reported wind speed)
+// - direction [number]: wind direction in degrees, the shaft points this way from the station
+// - southernHemisphere [boolean]: barbs are on the right of the shaft in the southern hemisphere, on the left in the northern one
+// - layout [string]: "circle" (value in a circle beyond the shaft end) or "text" (plain value beside the shaft end, opposite the barbs)
+// output:
+// - [SVGElement]: <g> to be appended to the central slot (12)
+
+function createGustElement(gust, direction, southernHemisphere, layout) {
+    var gustSvg = environment.document.createElementNS("http://www.w3.org/2000/svg", "g");
+    var shaftLength = 30.3;     // from the station center to the end of the shaft, as drawn by the ddff_WindArrows symbols placed in slot 12
+    var rad = direction * Math.PI / 180;
+    var along = [Math.sin(rad), -Math.cos(rad)];                                        // unit vector along the shaft (SVG y axis points down)
+    var awayFromBarbs = (southernHemisphere ? [Math.cos(rad), Math.sin(rad)] : [-Math.cos(rad), -Math.sin(rad)]);   // unit vector perpendicular to the shaft, on the side without barbs
+    var cx, cy;
+    if (layout == "text") {
+        cx = along[0] * (shaftLength - 4) + awayFromBarbs[0] * 8;
+        cy = along[1] * (shaftLength - 4) + awayFromBarbs[1] * 8;
+    } else {
+        // barbs reach a little beyond the shaft end, keep the circle clear of them
+        var r = 7;
+        cx = along[0] * (shaftLength + 3.1 + r) + awayFromBarbs[0] * 1.5;
+        cy = along[1] * (shaftLength + 3.1 + r) + awayFromBarbs[1] * 1.5;
+        var circle = environment.document.createElementNS("http://www.w3.org/2000/svg", "circle");
+        circle.setAttribute("cx", cx);
+        circle.setAttribute("cy", cy);
+        circle.setAttribute("r", r);
+        circle.setAttribute("style", "fill: none; stroke: black; stroke-width: 0.8;");
+        gustSvg.appendChild(circle);
+    }
+    // text stays upright, only its position follows the shaft
+    var text = createTextElement(gust);
+    text.setAttribute("transform", "translate("+(cx - 13.33/2)+" "+(cy - 13.33/2)+")");
+    gustSvg.appendChild(text);
+
+    return gustSvg;
+}
+
+// create the "undecodable report" placeholder, drawn instead of the station circle when a report could not be decoded
+// inputs:
+// - diagnostic [object]: {type, report, message, group, groupIndex, fatal} of the report, shown as a tooltip
+// output:
+// - [SVGElement]: <g> to be appended to the central slot (12)
+
+function createUndecodableElement(diagnostic) {
+    var placeholderSvg = environment.document.createElementNS("http://www.w3.org/2000/svg", "g");
+    var title = environment.document.createElementNS("http://www.w3.org/2000/svg", "title");
+    title.textContent = `${diagnostic.type} could not be decoded: ${diagnostic.message}` + (diagnostic.group != null ? ` (group "${diagnostic.group}")` : "");
+    placeholderSvg.appendChild(title);
+
+    // dashed circle of the station, crossed out
+    var r = 6;
+    var circle = environment.document.createElementNS("http://www.w3.org/2000/svg", "circle");
+    circle.setAttribute("r", r);
+    circle.setAttribute("style", "fill: white; stroke: #d00; stroke-width: 1; stroke-dasharray: 2 1.2;");
+    placeholderSvg.appendChild(circle);
+    [[-1, -1, 1, 1], [-1, 1, 1, -1]].forEach(([x1, y1, x2, y2]) => {
+        var line = environment.document.createElementNS("http://www.w3.org/2000/svg", "line");
+        var d = r * 0.6;
+        line.setAttribute("x1", x1 * d);
+        line.setAttribute("y1", y1 * d);
+        line.setAttribute("x2", x2 * d);
+        line.setAttribute("y2", y2 * d);
+        line.setAttribute("style", "stroke: #d00; stroke-width: 1.2;");
+        placeholderSvg.appendChild(line);
+    });
+
+    return placeholderSvg;
+}
+
+// Whether present and past weather are reported from the code tables of automatic stations, 4680 (wawa) and 4531 (Wa1Wa2): ix = 5, 6 or 7 (code table 1860)
+// ix = 4 is an automatic station reporting with the manned code tables 4677 and 4561, like METAR/SPECI of automatic stations (AUTO): their weather is mapped onto ww, see metar_decoder.js
+// inputs:
+// - weatherIndicator [object]: decoded ix
+// output:
+// - [boolean]
+
+function automaticWeatherTables(weatherIndicator) {
+    return (weatherIndicator != null && [5, 6, 7].includes(weatherIndicator.value) && weatherIndicator.mannedTables != true);
+}
+
+// Collect supplementary present weather from the SYNOP section 333 groups 960ww and 961w1w1 (manned stations only)
+// pymetdecoder decodes both groups into "present_weather_additional" without telling which one was reported, so the group indicators are read from the raw SYNOP.
+// inputs:
+// - decodedData [object]: decoded SYNOP
+// output:
+// - [array]: objects {symbolSet: "w1w1" | "ww", value: int}, 961w1w1 groups first (they take precedence), then 960ww groups, each in the order reported
+
+function additionalPresentWeather(decodedData) {
+    var w1w1 = [];
+    var ww = [];
+    if (automaticWeatherTables(decodedData.weather_indicator)) {
+        // automatic stations report these groups from code table 4680 (wawa), no w1w1 symbols exist for them
+        return [];
+    }
+    if (typeof decodedData._raw == "string") {
+        var groups = decodedData._raw.replace(/=/g, "").trim().split(/\s+/);
+        var section3 = false;
+        groups.forEach((group) => {
+            if (group == "333") {
+                section3 = true;
+            } else if (group == "444" || group == "555") {
+                section3 = false;
+            } else if (section3 && /^96[01]\d\d$/.test(group)) {
+                // in section 333, only 9SpSpspsp groups start with 9, so 960ww / 961w1w1 cannot be mistaken for other groups
+                (group[2] == "1" ? w1w1 : ww).push({symbolSet: (group[2] == "1" ? "w1w1" : "ww"), value: Number(group.slice(3))});
+            }
+        });
+    } else if (decodedData.present_weather_additional != null) {
+        // no raw SYNOP (BUFR and pre-decoded input): w1w1 is told apart by its code table 4687, see observation_decoder.js
+        decodedData.present_weather_additional.forEach((weather) => {
+            if (weather != null && weather.value != null) {
+                (weather._table == "4687" ? w1w1 : ww).push({symbolSet: (weather._table == "4687" ? "w1w1" : "ww"), value: weather.value});
+            }
+        });
+    }
+    return w1w1.concat(ww);
+}
+
+// path of the present weather symbol of an entry returned by additionalPresentWeather()
+// hints and variant are passed on to weatherSymbolVariant() for 960ww
+function additionalPresentWeatherSymbolPath(weather, hints, variant) {
+    if (weather.symbolSet == "w1w1") {
+        return './symbols/w1w1_PresentWeatherAdditional/WeatherSymbol_WMO_PresentWeatherAdditional_w1w1_'+String(weather.value).padStart(2, 0)+'.svg';
+    }
+    return './symbols/ww_PresentWeather/WeatherSymbol_WMO_PresentWeather_ww_'+weatherSymbolVariant("ww", weather.value, hints, variant)+'.svg';
+}
+
+// Collect hints from the rest of the decoded SYNOP for choosing between the alternative glyphs of ww 93, 94, 95, 97, W1W2 3 and Wa1Wa2 7
+// inputs:
+// - decodedData [object]: decoded SYNOP
+// - supplementaryWeather [array]: output of additionalPresentWeather()
+// - pointCoords [array]: [lon, lat] of the station, for the season hint
+// - chartDate [Date|string|number]: date of the chart, from the chartDate OPTION, for the season hint (none without it)
+// output:
+// - [object]: {snow, hail, rain, sand, iceP} booleans for phenomena reported elsewhere in the SYNOP, and cold: true / false / null (unknown)
+
+function weatherVariantHints(decodedData, supplementaryWeather, pointCoords, chartDate) {
+    var hints = {snow: false, hail: false, rain: false, sand: false, iceP: false, cold: null};
+
+    // w1w1 from 961w1w1 (code table 4687)
+    supplementaryWeather.forEach((weather) => {
+        if (weather.symbolSet != "w1w1") return;
+        var c = weather.value;
+        if ([10, 11, 23, 39, 46, 59, 69, 78, 79, 82, 83, 86, 87, 91].includes(c) || (c >= 70 && c <= 77)) hints.snow = true;
+        if ((c >= 84 && c <= 91) || c == 80) hints.hail = true;
+        if ((c >= 60 && c <= 67) || c == 80 || c == 81) hints.rain = true;
+        if ([6, 8, 9, 21, 30].includes(c)) hints.sand = true;
+    });
+
+    // past weather W1W2 (manned) or Wa1Wa2 (automatic) and present weather wawa (automatic)
+    var automatic = automaticWeatherTables(decodedData.weather_indicator);
+    if (decodedData.past_weather != null) {
+        decodedData.past_weather.forEach((weather) => {
+            if (weather == null || weather.value == null) return;
+            if (weather.value == 6) hints.rain = true;      // W 6 and Wa 6 - rain
+            if (!automatic && weather.value == 7) hints.snow = true;    // W 7 - snow (Wa 7 can be ice pellets as well)
+        });
+    }
+    if (automatic && decodedData.present_weather != null && decodedData.present_weather.value != null) {
+        var wawa = decodedData.present_weather.value;
+        if ((wawa >= 70 && wawa <= 73) || wawa == 77 || wawa == 78 || (wawa >= 85 && wawa <= 87)) hints.snow = true;
+        if (wawa >= 74 && wawa <= 76) hints.iceP = true;
+        if (wawa == 89) hints.hail = true;
+        if ((wawa >= 60 && wawa <= 66) || (wawa >= 81 && wawa <= 84)) hints.rain = true;
+    }
+
+    // cold or warm: air temperature first, season of the station's hemisphere as a fallback, only if the date of the chart is given (SYNOP only has the day of month)
+    var month = (chartDate != null ? new Date(chartDate).getUTCMonth() + 1 : NaN);
+    if (decodedData.air_temperature != null && decodedData.air_temperature.value != null) {
+        hints.cold = (decodedData.air_temperature.value <= 2);   // snow is still common up to about +2 °C
+    } else if (!Number.isNaN(month) && pointCoords != null && Math.abs(pointCoords[1]) > 23.5) {
+        var winterMonths = (pointCoords[1] > 0 ? [11, 12, 1, 2, 3] : [5, 6, 7, 8, 9]);
+        hints.cold = winterMonths.includes(month);
+    }
+    return hints;
+}
+
+// Resolve the symbol file name code for the weather codes with alternative glyphs (page A-443 and A-446 of WMO-No. 306)
+// inputs:
+// - symbolSet [string]: "ww", "W1W2" or "Wa1Wa2"
+// - code [int]: reported code figure
+// - hints [object]: output of weatherVariantHints()
+// - variant [string]: "auto", "cold", "warm" or "combined", from the weatherSymbolVariant OPTION
+// output:
+// - [string]: code used in the symbol file name, e.g. "93a" or "05"
+
+function weatherSymbolVariant(symbolSet, code, hints, variant) {
+    var fileCode = (symbolSet == "ww" ? String(code).padStart(2, 0) : String(code));
+    var cold = (variant == "cold" ? true : (variant == "warm" ? false : hints.cold));
+
+    if (symbolSet == "ww" && (code == 93 || code == 94)) {
+        // a: snow or rain and snow mixed, b: hail
+        if (variant == "combined") return fileCode;
+        if (variant == "auto" && hints.hail) return fileCode+"b";
+        if (variant == "auto" && hints.snow) return fileCode+"a";
+        return (cold == null ? fileCode : fileCode+(cold ? "a" : "b"));
+    }
+    if (symbolSet == "ww" && (code == 95 || code == 97)) {
+        // a: rain, b: snow
+        if (variant == "combined") return fileCode;
+        if (variant == "auto" && hints.snow && !hints.rain) return fileCode+"b";
+        if (variant == "auto" && hints.rain && !hints.snow) return fileCode+"a";
+        return (cold == null ? fileCode : fileCode+(cold ? "b" : "a"));
+    }
+    if (symbolSet == "W1W2" && code == 3) {
+        // a: sandstorm or duststorm, b: blowing snow. There is no combined glyph.
+        if (variant != "cold" && variant != "warm" && hints.sand) return "3a";
+        if (variant != "cold" && variant != "warm" && hints.snow) return "3b";
+        return (cold ? "3b" : "3a");
+    }
+    if (symbolSet == "Wa1Wa2" && code == 7) {
+        // base: snow or ice pellets, a: snow, b: ice pellets
+        if (variant == "cold") return "7a";
+        if (variant == "auto" && hints.snow && !hints.iceP) return "7a";
+        if (variant == "auto" && hints.iceP && !hints.snow) return "7b";
+        return "7";
+    }
+    return fileCode;
+}
+
 // consider building SVG symbols multithreaded using Web Workers (will need a dynamic queue-based manager for it tho): 
 // https://medium.com/@rijulsarji/web-workers-101-the-ultimate-guide-to-multithreading-in-javascript-63c4ffe20281
 // https://medium.com/@sohail_saifi/an-advanced-guide-to-web-workers-in-javascript-for-performance-heavy-tasks-67d27b5c2448
@@ -163,10 +376,26 @@ async function meteoStation(data, pointCoords, userOptions){
             stationModel: 1,
             font: 1
         },
+        decoder: "pyodide",     // "pyodide" (pymetdecoder within Pyodide) or "js" (pure JavaScript, synop_decoder.js)
+        workers: null,      // size of the decoder worker pool, taken from the first call. null: one per logical core, leaving one for the main thread, at most 4
+        batchSize: 100,     // number of reports sent to a worker in one message
+        decodeTimeout: 60000,   // milliseconds a report may wait for the decoder workers (including the startup of Pyodide), then it is rejected. 0: no limit
+        cache: {memory: 5000, indexedDB: false, indexedDBEntries: 50000},  // decoded reports kept in memory and, optionally, in IndexedDB (entries). false disables the cache
         polyChromatic: true,
         highCloudsInRed: true,
         temperature: "raw",
         dewPoint: "raw",
+        extremeTemperature: "auto",
+        snowDepth: "code",
+        observationTime: "differing",
+        nominalTime: null,  // e.g. "12" or "1200" - the chart-wide nominal observation time (UTC), used by observationTime: "differing"
+        chartDate: null,    // e.g. "2025-09-21" - the date of the chart (Date, ISO string or milliseconds), for the season hint of weatherSymbolVariant: "auto"
+        weatherSymbolVariant: "auto",
+        gust: "circle",
+        symbolsBaseUrl: "./symbols/",   // folder of the WMO symbols, relative to the page or absolute
+        pyodideIndexUrl: "https://cdn.jsdelivr.net/pyodide/v0.29.0/full/",  // folder of pyodide.js and its packages, for decoder "pyodide"
+        decoderArchiveUrl: "./pymetdecoder.zip",    // pymetdecoder archive, relative to the page or absolute, for decoder "pyodide"
+        undecodable: "empty",   // "empty", "placeholder" or "reject" - symbol of a report that could not be decoded
         elementsToOmit: [],	// e.g. [0, 2, 3, 17, 18]. Any, except 12 (center station circle).
         debug: false
     };
@@ -183,7 +412,7 @@ async function meteoStation(data, pointCoords, userOptions){
     for (let i = 0; i < plottingModelSlotsContent.length; i++) {
         if (i == 12) {
             // centered symbol (important for global scaling)
-            var centerSvg = document.createElementNS("http://www.w3.org/2000/svg", "g");
+            var centerSvg = environment.document.createElementNS("http://www.w3.org/2000/svg", "g");
             centerSvg.setAttribute("transform-origin", "50% 50%")
             centerSvg.setAttribute("transform", "translate(50% 50%)")
             /*centerSvg.setAttribute("width", 66.6666)
@@ -192,10 +421,10 @@ async function meteoStation(data, pointCoords, userOptions){
             centerSvg.setAttribute("y", 16.66)*/
             plottingModelSlotsContent[i] = centerSvg;
         } else {
-            var group = document.createElementNS("http://www.w3.org/2000/svg", "g");
+            var group = environment.document.createElementNS("http://www.w3.org/2000/svg", "g");
             group.setAttribute("transform-origin", "50% 50%")
             if (options.debug) {
-                var slotBox = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+                var slotBox = environment.document.createElementNS("http://www.w3.org/2000/svg", "rect");
                 slotBox.setAttribute("fill", "none");
                 slotBox.setAttribute("stroke", "#00000052");
                 slotBox.setAttribute("stroke-dasharray", "2");
@@ -209,7 +438,7 @@ async function meteoStation(data, pointCoords, userOptions){
     //console.log(plottingModelSlotsContent)
     
 
-    var svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+    var svg = environment.document.createElementNS("http://www.w3.org/2000/svg", "svg");
     svg.setAttribute('style', 'display: block');    // affects only svgs less than 14x14px in size, otherwise those are misplaced on marker: https://stackoverflow.com/questions/75342672/leaflet-small-divicons-less-than-14px-do-not-align-at-center-of-point
     svg.setAttribute('width', 100);
     svg.setAttribute('height', 100);                // 100x100 canvas for whole symbol
@@ -237,12 +466,56 @@ async function meteoStation(data, pointCoords, userOptions){
     var x = 16.66;
     var y = 16.66;
 
+    var swellPlotted = false;   // cell 25 (swell waves) is outside the 5x5 grid, the canvas has to grow if it is plotted
+
     // process SYNOP data
-    // send current rawSynop to web worker to decode
-    myWorker.postMessage({SYNOP_raw: data.rawSynop, leafletID: data.leafletID});
-    var decodedData = await waitForDecodedSynop(data.leafletID);
-    decodedData = decodedData.decoded;
+    var decodedData;
+    var decodeError = null;     // diagnostic {type, report, message, group, groupIndex, fatal} of a report that could not be decoded, or of the first group skipped
+    if (data.properties != null) {
+        // pre-decoded observation in feature properties (option "propertyFields"), read in the main thread, the web worker is not needed
+        try {
+            decodedData = decodeProperties(data.properties, options.propertyFields);
+        } catch (error) {
+            console.error('MAIN: properties could not be read as an observation:', data.properties, error);
+            decodedData = null;
+            decodeError = {type: "properties", report: null, message: error.message, group: null, groupIndex: null, fatal: true};
+        }
+    } else {
+        // send current rawSynop (or rawBufr, rawMetar, for BUFR and METAR/SPECI input) to the decoder workers, unless it was decoded before
+        var report = {SYNOP_raw: data.rawSynop, BUFR_raw: data.rawBufr, BUFR_subset: data.bufrSubset, METAR_raw: data.rawMetar};
+        var result = await getCachedDecode(report, options);
+        if (result == null) {
+            result = await environment.decodeReport(report, options);
+            putCachedDecode(report, result.decoded, options);
+        }
+        decodedData = result.decoded;
+        decodeError = result.error;
+    }
     console.debug('decoded SYNOP:', decodedData)
+
+    if (decodeError != null && options.undecodable == "reject") {
+        var rejection = new Error(`${decodeError.type} could not be decoded: ${decodeError.message}`);
+        rejection.diagnostic = decodeError;
+        throw rejection;
+    }
+    if (decodeError == null && decodedData != null && decodedData.diagnostics != null && decodedData.diagnostics.length > 0) {
+        // the report is plotted without the invalid groups the JavaScript decoder skipped: the first of them is reported as a non-fatal diagnostic
+        decodeError = decodedData.diagnostics[0];
+    }
+
+    // sea and mobile stations (SHIP, SYNOP MOBIL) report their own position, used if the feature has no point coordinates
+    if ((pointCoords == null || pointCoords.length < 2) && decodedData != null && decodedData.station_position != null) {
+        pointCoords = [decodedData.station_position.longitude, decodedData.station_position.latitude];
+    }
+    var northernHemisphere = (pointCoords == null || pointCoords[1] > 0);   // northern hemisphere if the position is unknown
+
+    // supplementary present weather (960ww / 961w1w1), shared by cells 11 and 18
+    var supplementaryWeather = (decodedData != null ? additionalPresentWeather(decodedData) : []);
+    var supplementaryWeatherUsed = 0;   // number of supplementary entries already plotted (cell 11 is built before cell 18)
+    // hints for the alternative glyphs of ww 93/94/95/97, W1W2 3 and Wa1Wa2 7, shared by cells 11 and 18
+    var variantHints = (decodedData != null ? weatherVariantHints(decodedData, supplementaryWeather, pointCoords, options.chartDate) : null);
+    // indicator ix of the station type and of weather groups, may be missing ("/") in reports accepted by the JavaScript decoder
+    var weatherIndicator = (decodedData != null && decodedData.weather_indicator != null ? decodedData.weather_indicator : {value: null, automatic: false});
     
     const startTimeAssembly = performance.now();
 
@@ -290,7 +563,100 @@ async function meteoStation(data, pointCoords, userOptions){
                     case 24:
                         break;
 
-                    // TODO CLARIFY: fxfx (wind gust) on the plot? HU PDF plots wind gust m/s value in a circle at the end of the wind shaft, position not clarified (likely at the end of wind shaft)
+                    // 0 (TgTg) - Ground (grass) minimum temperature value, in whole degrees
+                    // from SYNOP section 333, depending on the WMO Region of the station:
+                    // - Region I: group 0TgTgRcRt, decoded as "ground_minimum_temperature" (50 added to negative values by the encoder, handled by the decoder)
+                    // - Regions II, III, IV, VI: group 3EsnTgTg (jjj = snTgTg), decoded as the temperature of "ground_state"
+                    // - Region II: group 0EsnTgTg for grass, decoded as the temperature of "ground_state_grass"
+                    // Same "raw"/"rounded" handling as TTT (cell 6), following the "temperature" option.
+
+                    case 0:
+                        var groundTemperature = null;
+                        if (decodedData.ground_minimum_temperature != null
+                            && decodedData.ground_minimum_temperature.value != null) {
+                            groundTemperature = decodedData.ground_minimum_temperature.value;
+                        } else if (decodedData.ground_state != null
+                            && decodedData.ground_state.temperature != null
+                            && decodedData.ground_state.temperature.value != null) {
+                            groundTemperature = decodedData.ground_state.temperature.value;
+                        } else if (decodedData.ground_state_grass != null
+                            && decodedData.ground_state_grass.temperature != null
+                            && decodedData.ground_state_grass.temperature.value != null) {
+                            groundTemperature = decodedData.ground_state_grass.temperature.value;
+                        }
+
+                        if (groundTemperature != null) {
+                            switch (options.temperature) {
+                                case "raw":
+                                    // -3 plotted as -3
+                                    element.appendChild(createTextElement(groundTemperature))
+                                    break;
+                                case "rounded":
+                                    element.appendChild(createTextElement(Math.round(groundTemperature)))
+                                    break;
+                                default:
+                                    element.appendChild(createTextElement(groundTemperature))
+                                    break;
+                            }
+                        } else {
+                            console.debug('Ground minimum temperature (TgTg) is not defined.')
+                        }
+                        break;
+
+                    // 1 (TxTxTx or TnTnTn) - Maximum or minimum air temperature value
+                    // from SYNOP section 333, groups 1snTxTxTx and 2snTnTnTn. Only one of them is plotted in this cell.
+
+                    // Which one is plotted is decided by the "extremeTemperature" user-facing OPTION:
+                    // - "maximum" / "minimum": always that one (cell is left empty if it was not reported)
+                    // - "auto" (default): if only one of them is reported, that one. If both, decided by the observation hour (GG):
+                    //   evening charts (12-23 UTC) show the maximum (daytime max), morning charts (00-11 UTC) show the minimum (night-time min).
+                    // Same "raw"/"rounded" handling as TTT (cell 6), following the "temperature" option.
+
+                    case 1:
+                        var extremeTemperature = null;
+                        var hasMaximum = decodedData.maximum_temperature != null && decodedData.maximum_temperature.value != null;
+                        var hasMinimum = decodedData.minimum_temperature != null && decodedData.minimum_temperature.value != null;
+                        switch (options.extremeTemperature) {
+                            case "maximum":
+                                extremeTemperature = (hasMaximum ? decodedData.maximum_temperature : null);
+                                break;
+                            case "minimum":
+                                extremeTemperature = (hasMinimum ? decodedData.minimum_temperature : null);
+                                break;
+                            default:
+                                // "auto"
+                                if (hasMaximum && hasMinimum) {
+                                    if (decodedData.obs_time != null && decodedData.obs_time.hour != null && decodedData.obs_time.hour.value < 12) {
+                                        extremeTemperature = decodedData.minimum_temperature;   // morning chart
+                                    } else {
+                                        extremeTemperature = decodedData.maximum_temperature;   // evening chart (or unknown hour)
+                                    }
+                                } else if (hasMaximum) {
+                                    extremeTemperature = decodedData.maximum_temperature;
+                                } else if (hasMinimum) {
+                                    extremeTemperature = decodedData.minimum_temperature;
+                                }
+                                break;
+                        }
+
+                        if (extremeTemperature != null) {
+                            switch (options.temperature) {
+                                case "raw":
+                                    // 281 plotted as 28.1
+                                    element.appendChild(createTextElement(extremeTemperature.value))
+                                    break;
+                                case "rounded":
+                                    // 281 plotted as 28
+                                    element.appendChild(createTextElement(Math.round(extremeTemperature.value)))
+                                    break;
+                                default:
+                                    element.appendChild(createTextElement(extremeTemperature.value))
+                                    break;
+                            }
+                        } else {
+                            console.debug('Maximum/minimum temperature (TxTxTx/TnTnTn) is not defined.')
+                        }
+                        break;
 
                     // 2 (CH) - High clouds
                     // can be plotted in red optionally (page A-447)
@@ -301,7 +667,7 @@ async function meteoStation(data, pointCoords, userOptions){
                             && decodedData.cloud_types.high_cloud_type != null
                             && decodedData.cloud_types.high_cloud_type.value != 0) {
                                 w = h = 13.33;
-                                var icon = loadSVGIcon('./symbols/CH_CloudHigh/WeatherSymbol_WMO_CloudHigh_CH_'+decodedData.cloud_types.high_cloud_type.value+'.svg');
+                                var icon = loadSVGIcon('./symbols/CH_CloudHigh/WeatherSymbol_WMO_CloudHigh_CH_'+decodedData.cloud_types.high_cloud_type.value+'.svg', options);
                                 if (icon) {
                                     icon.setAttribute("width", w)
                                     icon.setAttribute("height", h)
@@ -320,13 +686,61 @@ async function meteoStation(data, pointCoords, userOptions){
                     // 3 (E or E'sss) - Ground cover without (E) or with snow (E'). Total depth of snow (sss) in cm, plotted with 
                     // code figures (CODE TABLE 3889, Volume I.1: A-341) or actual depth, depening on national regs.
 
-                    // TODO CLARIFY + LOGIC: E or E'sss = from SYNOP, how do we know if precip is rain or snow? I need to know that in order to use the correct symbol set E or E'
+                    // From SYNOP section 333: group 3Ejjj gives E (state of ground without snow or measurable ice cover, CODE TABLE 0901),
+                    // group 4E'sss gives E' (state of ground with snow or measurable ice cover, CODE TABLE 0975) and sss. The reported group decides
+                    // the symbol set: if 4E'sss is present, the ground is snow/ice covered and E' is plotted with sss, otherwise E is plotted alone.
+                    // sss is plotted according to the "snowDepth" user-facing OPTION: "code" (default) plots the code figure, "value" plots the depth in cm.
+                    // Code figures 997 (less than 0.5 cm), 998 (non-continuous cover) and 999 (measurement impossible) have no depth, these are always plotted as code figures.
+                    // [E'  sss]
 
-                    /*
                     case 3:
-                        //TODO
+                        w = h = 13.33;
+                        if (decodedData.ground_state_snow != null
+                            && decodedData.ground_state_snow.state != null
+                            && decodedData.ground_state_snow.state.value != null) {
+                            // E' (snow or ice cover), with sss right of it if given
+                            var snowDepth = null;
+                            if (decodedData.ground_state_snow.depth != null
+                                && decodedData.ground_state_snow.depth._code != null) {
+                                if (options.snowDepth == "value"
+                                    && decodedData.ground_state_snow.depth.depth != null
+                                    && decodedData.ground_state_snow.depth.quantifier == null) {
+                                    snowDepth = decodedData.ground_state_snow.depth.depth;     // sss = 105 plotted as 105 (cm), 996 plotted as 996 (cm)
+                                } else {
+                                    snowDepth = decodedData.ground_state_snow.depth._code;     // sss = 997 plotted as 997
+                                }
+                            }
+                            var icon = loadSVGIcon('./symbols/Eprime_StateOfGround/WeatherSymbol_WMO_StateOfGround_Eprime_'+decodedData.ground_state_snow.state.value+'.svg', options);
+                            if (icon) {
+                                icon.setAttribute("width", w)
+                                icon.setAttribute("height", h)
+                                icon.setAttribute("transform-origin", w/2+" "+h/2)
+                                if (snowDepth != null) {
+                                    icon.setAttribute("transform", "translate(-"+w/3.2+" 0)");   // shift -X from slot center
+                                }
+                                element.appendChild(icon)
+                            }
+                            if (snowDepth != null) {
+                                var sss_value_SVG = createTextElement(snowDepth);
+                                sss_value_SVG.setAttribute("transform-origin", w/2+" "+h/2)
+                                sss_value_SVG.setAttribute("transform", "translate("+w/2.2+" 0)");    // shift +X from slot center (may extend into empty cell 4)
+                                element.appendChild(sss_value_SVG)
+                            }
+                        } else if (decodedData.ground_state != null
+                            && decodedData.ground_state.state != null
+                            && decodedData.ground_state.state.value != null) {
+                            // E (no snow or ice cover), centered in slot
+                            var icon = loadSVGIcon('./symbols/E_StateOfGround/WeatherSymbol_WMO_StateOfGround_E_'+decodedData.ground_state.state.value+'.svg', options);
+                            if (icon) {
+                                icon.setAttribute("width", w)
+                                icon.setAttribute("height", h)
+                                icon.setAttribute("transform-origin", w/2+" "+h/2)
+                                element.appendChild(icon)
+                            }
+                        } else {
+                            console.debug('State of ground (E or E\'sss) is not defined.')
+                        }
                         break;
-                    */
 
                     // 6 (TTT) - Air temperature value
 
@@ -362,7 +776,7 @@ async function meteoStation(data, pointCoords, userOptions){
                             && decodedData.cloud_types.middle_cloud_type != null
                             && decodedData.cloud_types.middle_cloud_type.value != 0) {
                                 w = h = 13.33;
-                                var icon = loadSVGIcon('./symbols/CM_CloudMedium/WeatherSymbol_WMO_CloudMedium_CM_'+decodedData.cloud_types.middle_cloud_type.value+'.svg');
+                                var icon = loadSVGIcon('./symbols/CM_CloudMedium/WeatherSymbol_WMO_CloudMedium_CM_'+decodedData.cloud_types.middle_cloud_type.value+'.svg', options);
                                 if (icon) {
                                     icon.setAttribute("width", w)
                                     icon.setAttribute("height", h)
@@ -412,26 +826,27 @@ async function meteoStation(data, pointCoords, userOptions){
                     // 11 (ww / w1w1 or ww / wawa) - Present weather
                     // ww - manned station, wawa - automatic station, w1w1 - extension for symbols.
 
-                    // TODO CLARIFY: how is it indicated to use w1w1 extension symbol set?
-                    // TODO LOGIC: for symbols ww93 and ww94 there are two alternatives for both (one with * and one with triangles). Page A-443. 
-                    // TODO LOGIC: for symbols ww95 and ww97 there are two alternatives for both (one with a dot for rain and one with a * for snow). Page A-443. 
+                    // w1w1 is reported in section 333 group 961w1w1 (code table 4687) when it describes the present weather in more detail than ww can,
+                    // so for manned stations it takes precedence over ww from 7wwW1W2. Group 960ww (code table 4677) is only used here if there is no 7-group.
+                    // Supplementary phenomena not plotted here go to cell 18, if no past weather is reported there.
+                    // ww 93, 94 (snow or hail) and 95, 97 (rain or snow) have alternative glyphs, see weatherSymbolVariant() and the "weatherSymbolVariant" OPTION. Page A-443.
                     // TODO LOGIC: there is a specific case when this slot has to be blank. Page A-443. 
                     // TODO LOGIC: there is a specific case when this slot has to show "//". Page A-443. 
 
                     case 11:                    
-                        if (decodedData.present_weather != null) {
+                        if (decodedData.present_weather != null || supplementaryWeather.length > 0) {
                             w = h = 13.33;
-                            if (decodedData.weather_indicator.automatic == true) {
+                            if (automaticWeatherTables(weatherIndicator)) {
                                 // AUTOMATIC station, "wawa" symbol set is used
-                                if (decodedData.weather_indicator.value == 5) {
+                                if (weatherIndicator.value == 5) {
                                     // ix = 5 means weather not significant -> slot left blank (page A-444 note 2/a)
-                                } else if (decodedData.weather_indicator.value == 6 || 
-                                (decodedData.weather_indicator.value == 7 && !decodedData.hasOwnProperty('present_weather'))) {
+                                } else if (weatherIndicator.value == 6 || 
+                                (weatherIndicator.value == 7 && !decodedData.hasOwnProperty('present_weather'))) {
                                 // (ix = 6) OR (ix = 7 AND no 7-group in message) -> plot "//" (page A-444 note 2/b)
                                     element.appendChild(createTextElement("//"))
                                 } else {
                                     // reported present weather seems significant, find symbol
-                                    var icon = loadSVGIcon('./symbols/wawa_PresentWeatherAutomaticStation/WeatherSymbol_WMO_PresentWeatherAutomaticStation_wawa_'+String(decodedData.present_weather.value).padStart(2, 0)+'.svg');
+                                    var icon = loadSVGIcon('./symbols/wawa_PresentWeatherAutomaticStation/WeatherSymbol_WMO_PresentWeatherAutomaticStation_wawa_'+String(decodedData.present_weather.value).padStart(2, 0)+'.svg', options);
                                     if (icon) {
                                         icon.setAttribute("width", w)
                                         icon.setAttribute("height", h)
@@ -442,14 +857,24 @@ async function meteoStation(data, pointCoords, userOptions){
                                 }
                             } else {
                                 // MANNED station, "ww" symbol set is used
-                                if (decodedData.weather_indicator.value == 2 || decodedData.weather_indicator.value == 5) {
+                                if (weatherIndicator.value == 2 || weatherIndicator.value == 5) {
                                     // if ix = 2 OR 5 -> slot left blank (page A-443 note 2/a)
-                                } else if (decodedData.weather_indicator.value == 3 || decodedData.weather_indicator.value == 6 || 
-                                    ((decodedData.weather_indicator.value == 1 || decodedData.weather_indicator.value == 4) && !decodedData.hasOwnProperty('present_weather'))) {
-                                    // if ix = 3 OR ix = 6 OR ((ix = 1 OR 4) AND no 7-group in message) -> plot "//" (page A-443 note 2/b)
+                                } else if (weatherIndicator.value == 3 || weatherIndicator.value == 6 || 
+                                    ((weatherIndicator.value == 1 || weatherIndicator.value == 4) && !decodedData.hasOwnProperty('present_weather') && supplementaryWeather.length == 0)) {
+                                    // if ix = 3 OR ix = 6 OR ((ix = 1 OR 4) AND no 7-group AND no 960/961 group in message) -> plot "//" (page A-443 note 2/b)
                                     element.appendChild(createTextElement("//"))
                                 } else {
-                                    var icon = loadSVGIcon('./symbols/ww_PresentWeather/WeatherSymbol_WMO_PresentWeather_ww_'+String(decodedData.present_weather.value).padStart(2, 0)+'.svg');
+                                    var icon = null;
+                                    if (supplementaryWeather.length > 0 && (supplementaryWeather[0].symbolSet == "w1w1" || decodedData.present_weather == null)) {
+                                        // 961w1w1 (or 960ww without a 7-group)
+                                        icon = loadSVGIcon(additionalPresentWeatherSymbolPath(supplementaryWeather[0], variantHints, options.weatherSymbolVariant), options);
+                                        if (icon) {
+                                            supplementaryWeatherUsed = 1;
+                                        }
+                                    }
+                                    if (!icon && decodedData.present_weather != null) {
+                                        icon = loadSVGIcon('./symbols/ww_PresentWeather/WeatherSymbol_WMO_PresentWeather_ww_'+weatherSymbolVariant("ww", decodedData.present_weather.value, variantHints, options.weatherSymbolVariant)+'.svg', options);
+                                    }
                                     if (icon) {
                                         icon.setAttribute("width", w)
                                         icon.setAttribute("height", h)
@@ -473,7 +898,7 @@ async function meteoStation(data, pointCoords, userOptions){
                         if (decodedData.hasOwnProperty("cloud_cover")) {       
                             if (decodedData.cloud_cover != null) {
                                 // OKTA
-                                var icon = loadSVGIcon('./symbols/N_TotalCloudCover/WeatherSymbol_WMO_TotalCloudCover_N_'+decodedData.cloud_cover._code+'.svg');
+                                var icon = loadSVGIcon('./symbols/N_TotalCloudCover/WeatherSymbol_WMO_TotalCloudCover_N_'+decodedData.cloud_cover._code+'.svg', options);
                                 if (icon) {
                                     w = h = 13.33;
                                     icon.setAttribute("width", w)
@@ -484,7 +909,7 @@ async function meteoStation(data, pointCoords, userOptions){
                                 }
                             } else {
                                 // Slash = NO MEASUREMENTS MADE. In pymetdecoder, this results in an existing, but null "cloud_cover" property.
-                                var icon = loadSVGIcon('./symbols/N_TotalCloudCover/WeatherSymbol_WMO_TotalCloudCover_N_Slash.svg');
+                                var icon = loadSVGIcon('./symbols/N_TotalCloudCover/WeatherSymbol_WMO_TotalCloudCover_N_Slash.svg', options);
                                 if (icon) {
                                     w = h = 13.33;
                                     icon.setAttribute("width", w)
@@ -500,9 +925,9 @@ async function meteoStation(data, pointCoords, userOptions){
 
                         // AUTOMATIC STATION symbol
 
-                        if (decodedData.hasOwnProperty("weather_indicator")
-                            && decodedData.weather_indicator.automatic == 1) {
-                            var automaticStationSymbol = loadSVGIcon('./symbols/N_TotalCloudCover/WeatherSymbol_WMO_TotalCloudCover_Automatic.svg');
+                        // ix = 4 to 7 (pymetdecoder flags ix = 3, a manned station, as automatic as well)
+                        if (weatherIndicator.value >= 4) {
+                            var automaticStationSymbol = loadSVGIcon('./symbols/N_TotalCloudCover/WeatherSymbol_WMO_TotalCloudCover_Automatic.svg', options);
                             if (automaticStationSymbol) {
                                 w = h = 24;
                                 automaticStationSymbol.setAttribute("width", w)
@@ -515,6 +940,8 @@ async function meteoStation(data, pointCoords, userOptions){
 
                         // WIND PLOT symbol (direction + speed)
 
+                        var windShaftPlotted = false;   // wind shaft with barbs is drawn, gust can be placed at its end
+
                         if (decodedData.hasOwnProperty("surface_wind") 
                         && decodedData.surface_wind != null
                         && decodedData.surface_wind.hasOwnProperty("direction")
@@ -528,7 +955,7 @@ async function meteoStation(data, pointCoords, userOptions){
                                 if (symbolFileNumber == "00" || symbolFileNumber == "01") {
                                     // raw wind speed number was 0 or 1, therefore rounded number was 00 or 01 - WMO does not have a symbol for it (since the lowest wind symbol shows 2.5 m/s / 5 kt), so that is considered calm
                                     // CALM WIND (empty circle shape, around the central station circle)
-                                    var icon = loadSVGIcon('./symbols/ddff_WindArrows/WeatherSymbol_WMO_WindArrowCalm_00.svg');
+                                    var icon = loadSVGIcon('./symbols/ddff_WindArrows/WeatherSymbol_WMO_WindArrowCalm_00.svg', options);
                                     if (icon) {
                                         var w = 25;
                                         var h = 25;
@@ -542,9 +969,10 @@ async function meteoStation(data, pointCoords, userOptions){
                                     // raw wind speed value seems real
                                     // All pennants and barbs lie to the left of the wind shaft in the northern hemisphere and to the right of the wind shaft in the southern hemisphere.      
                                     
-                                    if (pointCoords[1] > 0) {
+                                    windShaftPlotted = true;
+                                    if (northernHemisphere) {
                                         // NORTHERN HEMISPHERE
-                                        var icon = loadSVGIcon('./symbols/ddff_WindArrows/WeatherSymbol_WMO_WindArrowNH_'+symbolFileNumber+'.svg');
+                                        var icon = loadSVGIcon('./symbols/ddff_WindArrows/WeatherSymbol_WMO_WindArrowNH_'+symbolFileNumber+'.svg', options);
                                         if (icon) {
                                             icon.setAttribute("width", 30)
                                             icon.setAttribute("height", 30)
@@ -555,7 +983,7 @@ async function meteoStation(data, pointCoords, userOptions){
                                     } else {
                                         console.debug('SOUTHERN POINT')
                                         // SOUTHERN HEMISPHERE
-                                        var icon = loadSVGIcon('./symbols/ddff_WindArrows/WeatherSymbol_WMO_WindArrowSH_'+symbolFileNumber+'.svg');
+                                        var icon = loadSVGIcon('./symbols/ddff_WindArrows/WeatherSymbol_WMO_WindArrowSH_'+symbolFileNumber+'.svg', options);
                                         if (icon) {
                                             icon.setAttribute("width", 30)
                                             icon.setAttribute("height", 30)
@@ -566,7 +994,7 @@ async function meteoStation(data, pointCoords, userOptions){
                                 }
                             } else {
                                 // MISSING WIND SPEED. -> Wind shaft with an "X" at the end
-                                var icon = loadSVGIcon('./symbols/ddff_WindArrows/WeatherSymbol_WMO_WindArrowMissing_99.svg');
+                                var icon = loadSVGIcon('./symbols/ddff_WindArrows/WeatherSymbol_WMO_WindArrowMissing_99.svg', options);
                                 if (icon) {
                                     icon.setAttribute("width", 30)
                                     icon.setAttribute("height", 30)
@@ -575,6 +1003,21 @@ async function meteoStation(data, pointCoords, userOptions){
                                 }
                             }
                             element.appendChild(icon)
+
+                            // WIND GUST (fxfx) at the end of the wind shaft, from section 333 groups 910ff (highest gust during the 10 minutes preceding the observation)
+                            // and 911ff (highest gust during the period covered by W1W2). The highest of them is plotted, in the unit of the wind speed (iw).
+                            // The HU reference plots it in a circle at the end of the wind shaft, the "gust" user-facing OPTION selects the layout ("circle", "text" or "none").
+                            if (windShaftPlotted && options.gust != "none" && decodedData.highest_gust != null) {
+                                var gustSpeed = null;
+                                decodedData.highest_gust.forEach((gust) => {
+                                    if (gust != null && gust.speed != null && gust.speed.value != null && (gustSpeed == null || gust.speed.value > gustSpeed)) {
+                                        gustSpeed = gust.speed.value;
+                                    }
+                                });
+                                if (gustSpeed != null) {
+                                    element.appendChild(createGustElement(gustSpeed, decodedData.surface_wind.direction.value, !northernHemisphere, options.gust));
+                                }
+                            }
                         } else {
                             console.debug('Wind Direction is not defined. Not plotting wind.')
                         }
@@ -621,7 +1064,7 @@ async function meteoStation(data, pointCoords, userOptions){
                             && decodedData.pressure_tendency.tendency != null
                             && decodedData.pressure_tendency.tendency.value != null) {
                             w = h = 13.33;
-                            var icon = loadSVGIcon('./symbols/a_PressureTendencyCharacteristic/WeatherSymbol_WMO_PressureTendencyCharacteristic_a_'+decodedData.pressure_tendency.tendency.value+'.svg');
+                            var icon = loadSVGIcon('./symbols/a_PressureTendencyCharacteristic/WeatherSymbol_WMO_PressureTendencyCharacteristic_a_'+decodedData.pressure_tendency.tendency.value+'.svg', options);
                             if (icon) {
                                 icon.setAttribute("width", w)
                                 icon.setAttribute("height", h)
@@ -702,10 +1145,14 @@ async function meteoStation(data, pointCoords, userOptions){
                                         Nh_value_SVG.setAttribute("transform", "translate("+w/3.2+" -"+w/5+")");    // shift +X -Y from slot center
                                         element.appendChild(Nh_value_SVG)
                                         //w = h = 13.33;
-                                        var h_value_SVG = createTextElement(decodedData.lowest_cloud_base._code);
-                                        h_value_SVG.setAttribute("transform-origin", w/2+" "+h/2)       
-                                        h_value_SVG.setAttribute("transform", "translate(-"+w/3.2+" "+w/2.6+")");    // shift -X +Y from slot center (downwards, under Cl symbol) 
-                                        element.appendChild(h_value_SVG)
+                                        // h may be missing ("/"), e.g. in reports accepted by the JavaScript decoder
+                                        if (decodedData.lowest_cloud_base != null
+                                        && decodedData.lowest_cloud_base._code != null) {
+                                            var h_value_SVG = createTextElement(decodedData.lowest_cloud_base._code);
+                                            h_value_SVG.setAttribute("transform-origin", w/2+" "+h/2)       
+                                            h_value_SVG.setAttribute("transform", "translate(-"+w/3.2+" "+w/2.6+")");    // shift -X +Y from slot center (downwards, under Cl symbol) 
+                                            element.appendChild(h_value_SVG)
+                                        }
 
                                     }
 
@@ -715,14 +1162,14 @@ async function meteoStation(data, pointCoords, userOptions){
                                     if (decodedData.cloud_types.hasOwnProperty("low_cloud_amount")
                                     && decodedData.cloud_types.low_cloud_amount.value != null) {
                                         // Nh is given, so we will have TWO things next to each other at the TOP row of slot: Cl icon symbol and Nh value (okta)
-                                        if (decodedData.hasOwnProperty("lowest_cloud_base")
+                                        if (decodedData.lowest_cloud_base != null
                                         && decodedData.lowest_cloud_base._code != null) {
                                             // h is also given, so the ClNh pair has to be shifted upwards, h has to be shifted downwards and left (to center it under Cl symbol)
                                             // result in this case:
                                             // [Cl  Nh]
                                             // [      ]
                                             // [ h    ]
-                                            var icon = loadSVGIcon('./symbols/CL_CloudLow/WeatherSymbol_WMO_CloudLow_CL_'+decodedData.cloud_types.low_cloud_type.value+'.svg');
+                                            var icon = loadSVGIcon('./symbols/CL_CloudLow/WeatherSymbol_WMO_CloudLow_CL_'+decodedData.cloud_types.low_cloud_type.value+'.svg', options);
                                             if (icon) {
                                                 icon.setAttribute("width", w);
                                                 icon.setAttribute("height", h);
@@ -746,7 +1193,7 @@ async function meteoStation(data, pointCoords, userOptions){
                                             // [      ]
                                             // [Cl  Nh]
                                             // [      ]
-                                            var icon = loadSVGIcon('./symbols/CL_CloudLow/WeatherSymbol_WMO_CloudLow_CL_'+decodedData.cloud_types.low_cloud_type.value+'.svg');
+                                            var icon = loadSVGIcon('./symbols/CL_CloudLow/WeatherSymbol_WMO_CloudLow_CL_'+decodedData.cloud_types.low_cloud_type.value+'.svg', options);
                                             if (icon) {
                                                 icon.setAttribute("width", w);
                                                 icon.setAttribute("height", h);
@@ -762,14 +1209,14 @@ async function meteoStation(data, pointCoords, userOptions){
                                         }                            
                                     } else {
                                         // there is no Nh, no need to shift on X axis at all.
-                                        if (decodedData.hasOwnProperty("lowest_cloud_base")
+                                        if (decodedData.lowest_cloud_base != null
                                         && decodedData.lowest_cloud_base._code != null) {
                                             // h is given, it should be under Cl symbol -> shift symbol upwards, shift h value downwards (inside slot)
                                             // result in this case:
                                             // [ Cl ]
                                             // [    ]
                                             // [  h ]
-                                            var icon = loadSVGIcon('./symbols/CL_CloudLow/WeatherSymbol_WMO_CloudLow_CL_'+decodedData.cloud_types.low_cloud_type.value+'.svg');
+                                            var icon = loadSVGIcon('./symbols/CL_CloudLow/WeatherSymbol_WMO_CloudLow_CL_'+decodedData.cloud_types.low_cloud_type.value+'.svg', options);
                                             if (icon) {
                                                 icon.setAttribute("width", w)
                                                 icon.setAttribute("height", h)
@@ -788,7 +1235,7 @@ async function meteoStation(data, pointCoords, userOptions){
                                             // [    ]
                                             // [ Cl ]
                                             // [    ]
-                                            var icon = loadSVGIcon('./symbols/CL_CloudLow/WeatherSymbol_WMO_CloudLow_CL_'+decodedData.cloud_types.low_cloud_type.value+'.svg');
+                                            var icon = loadSVGIcon('./symbols/CL_CloudLow/WeatherSymbol_WMO_CloudLow_CL_'+decodedData.cloud_types.low_cloud_type.value+'.svg', options);
                                             if (icon) {
                                                 icon.setAttribute("width", w)
                                                 icon.setAttribute("height", h)
@@ -816,20 +1263,19 @@ async function meteoStation(data, pointCoords, userOptions){
 
                     // TODO LOGIC: there is a specific case when this slot has to be blank. Page A-443. 
                     // TODO LOGIC: there is a specific case when this slot has to show "//". Page A-443. 
-                    // TODO LOGIC: for symbol Wa1Wa2-7 there are two alternatives (one with * and one with a triangle). Page A-446. 
-                    // TODO LOGIC: for symbol W1W2-3 there are two alternatives (one is sandstorm, other snowstorm). Page A-446. 
+                    // Wa1Wa2 7 (snow or ice pellets) and W1W2 3 (sandstorm or blowing snow) have alternative glyphs, see weatherSymbolVariant() and the "weatherSymbolVariant" OPTION. Page A-446.
 
                     case 18:
                         if (decodedData.hasOwnProperty("past_weather")) {
                             if (decodedData.past_weather[0] != null || decodedData.past_weather[1] != null) {
                                 // we have a data for either W1 or W2
                                 w = h = 13.33;
-                                if (decodedData.weather_indicator.automatic == 1) {
+                                if (automaticWeatherTables(weatherIndicator)) {
                                     // AUTOMATIC station, so Wa1Wa2 symbol set is used
                                     if (decodedData.past_weather[1] != null && decodedData.past_weather[1].value != null) {
                                         // W2 is given, therefore we will have TWO symbols next to each other (W1W2). This is only important for the positioning.
                                         // W1 (left)
-                                        var icon1 = loadSVGIcon('./symbols/Wa1Wa2_PastWeatherAutomaticStation/WeatherSymbol_WMO_PastWeatherAutomaticStation_Wa1Wa1_'+decodedData.past_weather[0].value+'.svg');
+                                        var icon1 = loadSVGIcon('./symbols/Wa1Wa2_PastWeatherAutomaticStation/WeatherSymbol_WMO_PastWeatherAutomaticStation_Wa1Wa1_'+weatherSymbolVariant("Wa1Wa2", decodedData.past_weather[0].value, variantHints, options.weatherSymbolVariant)+'.svg', options);
                                         if (icon1) {
                                             icon1.setAttribute("width", w);
                                             icon1.setAttribute("height", h);
@@ -838,7 +1284,7 @@ async function meteoStation(data, pointCoords, userOptions){
                                             element.appendChild(icon1);
                                         }
                                         // W2 (right)
-                                        var icon2 = loadSVGIcon('./symbols/Wa1Wa2_PastWeatherAutomaticStation/WeatherSymbol_WMO_PastWeatherAutomaticStation_Wa1Wa1_'+decodedData.past_weather[1].value+'.svg');
+                                        var icon2 = loadSVGIcon('./symbols/Wa1Wa2_PastWeatherAutomaticStation/WeatherSymbol_WMO_PastWeatherAutomaticStation_Wa1Wa1_'+weatherSymbolVariant("Wa1Wa2", decodedData.past_weather[1].value, variantHints, options.weatherSymbolVariant)+'.svg', options);
                                         if (icon2) {
                                             icon2.setAttribute("width", w)
                                             icon2.setAttribute("height", h)
@@ -848,7 +1294,7 @@ async function meteoStation(data, pointCoords, userOptions){
                                         }
                                     } else {
                                         // only W1 is given, we plot that symbol centered as usual
-                                        var icon = loadSVGIcon('./symbols/Wa1Wa2_PastWeatherAutomaticStation/WeatherSymbol_WMO_PastWeatherAutomaticStation_Wa1Wa1_'+decodedData.past_weather[0].value+'.svg');
+                                        var icon = loadSVGIcon('./symbols/Wa1Wa2_PastWeatherAutomaticStation/WeatherSymbol_WMO_PastWeatherAutomaticStation_Wa1Wa1_'+weatherSymbolVariant("Wa1Wa2", decodedData.past_weather[0].value, variantHints, options.weatherSymbolVariant)+'.svg', options);
                                         if (icon) {
                                             icon.setAttribute("width", w)
                                             icon.setAttribute("height", h)
@@ -865,19 +1311,17 @@ async function meteoStation(data, pointCoords, userOptions){
                                         && decodedData.past_weather[1].value != 1
                                         && decodedData.past_weather[1].value != 2) {
                                         // W2 is given, therefore we will have TWO symbols next to each other (W1W2)
-                                        (decodedData.past_weather[0].value == 3 ? decodedData.past_weather[0].value = "3a" : "");    // DELETE THIS LATER, JUST A DEBUG WORKAROUND FOR NOW FOR 3A/3B.
                                         // W1 (left)
-                                        var icon1 = loadSVGIcon('./symbols/W1W2_PastWeather/WeatherSymbol_WMO_PastWeather_W1W2_'+decodedData.past_weather[0].value+'.svg');
+                                        var icon1 = loadSVGIcon('./symbols/W1W2_PastWeather/WeatherSymbol_WMO_PastWeather_W1W2_'+weatherSymbolVariant("W1W2", decodedData.past_weather[0].value, variantHints, options.weatherSymbolVariant)+'.svg', options);
                                         if (icon1) {
                                             icon1.setAttribute("width", w);
                                             icon1.setAttribute("height", h);
                                             icon1.setAttribute("transform-origin", w/2+" "+h/2);
                                             icon1.setAttribute("transform", "translate(-"+w/3.8+" 0)");   // shift -X from slot center 
                                             element.appendChild(icon1);
-                                            (decodedData.past_weather[1].value == 3 ? decodedData.past_weather[1].value = "3a" : "");    // DELETE THIS LATER, JUST A DEBUG WORKAROUND FOR NOW FOR 3A/3B.
                                         }
                                         // W2 (right)
-                                        var icon2 = loadSVGIcon('./symbols/W1W2_PastWeather/WeatherSymbol_WMO_PastWeather_W1W2_'+decodedData.past_weather[1].value+'.svg');
+                                        var icon2 = loadSVGIcon('./symbols/W1W2_PastWeather/WeatherSymbol_WMO_PastWeather_W1W2_'+weatherSymbolVariant("W1W2", decodedData.past_weather[1].value, variantHints, options.weatherSymbolVariant)+'.svg', options);
                                         if (icon2) {
                                             icon2.setAttribute("width", w)
                                             icon2.setAttribute("height", h)
@@ -895,8 +1339,7 @@ async function meteoStation(data, pointCoords, userOptions){
                                         && decodedData.past_weather[0].value != 1
                                         && decodedData.past_weather[0].value != 2) {
                                             // only W1 is given, we plot that symbol centered as usual
-                                            (decodedData.past_weather[0].value == 3 ? decodedData.past_weather[0].value = "3a" : "");    // DELETE THIS LATER, JUST A DEBUG WORKAROUND FOR NOW FOR 3A/3B.
-                                            var icon = loadSVGIcon('./symbols/W1W2_PastWeather/WeatherSymbol_WMO_PastWeather_W1W2_'+decodedData.past_weather[0].value+'.svg');
+                                            var icon = loadSVGIcon('./symbols/W1W2_PastWeather/WeatherSymbol_WMO_PastWeather_W1W2_'+weatherSymbolVariant("W1W2", decodedData.past_weather[0].value, variantHints, options.weatherSymbolVariant)+'.svg', options);
                                             if (icon) {
                                                 icon.setAttribute("width", w)
                                                 icon.setAttribute("height", h)
@@ -909,11 +1352,128 @@ async function meteoStation(data, pointCoords, userOptions){
                                     }
                                 }
                             }
+                        } else if (supplementaryWeather.length > supplementaryWeatherUsed) {
+                            // no past weather reported, the slot is free for the (next) supplementary present weather from 960ww / 961w1w1
+                            w = h = 13.33;
+                            var icon = loadSVGIcon(additionalPresentWeatherSymbolPath(supplementaryWeather[supplementaryWeatherUsed], variantHints, options.weatherSymbolVariant), options);
+                            if (icon) {
+                                icon.setAttribute("width", w)
+                                icon.setAttribute("height", h)
+                                icon.setAttribute("transform-origin", w/2+" "+h/2)
+                                element.appendChild(icon)
+                            }
                         } else {
                             console.debug('Past weather (W1W2 in block 7wwW1W2) is not defined.')
                         }
                         break;
 
+                    // 19 (GG or GGgg) - Actual time of observation (value)
+                    // GG is the hour from section 0 (YYGGiw), GGgg the exact hour and minute from section 1 group 9GGgg, if reported (plotted instead of GG).
+                    // Which stations get it plotted is decided by the "observationTime" user-facing OPTION:
+                    // - "always": plotted for every station
+                    // - "differing" (default): plotted only if it differs from the nominal time of the chart, given by the "nominalTime" option ("HH" or "HHMM").
+                    //   Without "nominalTime", the cell is left empty.
+
+                    case 19:
+                        if (decodedData.hasOwnProperty("obs_time")
+                            && decodedData.obs_time != null
+                            && decodedData.obs_time.hour != null
+                            && decodedData.obs_time.hour.value != null) {
+                            var obsTimeText, obsTimeMinutes;
+                            if (decodedData.exact_obs_time != null
+                                && decodedData.exact_obs_time.hour != null
+                                && decodedData.exact_obs_time.hour.value != null
+                                && decodedData.exact_obs_time.minute != null
+                                && decodedData.exact_obs_time.minute.value != null) {
+                                // GGgg, e.g. 1145
+                                obsTimeText = String(decodedData.exact_obs_time.hour.value).padStart(2, 0) + String(decodedData.exact_obs_time.minute.value).padStart(2, 0);
+                                obsTimeMinutes = decodedData.exact_obs_time.hour.value * 60 + decodedData.exact_obs_time.minute.value;
+                            } else {
+                                // GG, e.g. 11
+                                obsTimeText = String(decodedData.obs_time.hour.value).padStart(2, 0);
+                                obsTimeMinutes = decodedData.obs_time.hour.value * 60;
+                            }
+
+                            var plotObsTime = false;
+                            if (options.observationTime == "always") {
+                                plotObsTime = true;
+                            } else if (options.nominalTime != null) {
+                                // nominal time given as "HH" (or number of hours) or "HHMM"
+                                var nominalTime = String(options.nominalTime);
+                                var nominalTimeMinutes = (nominalTime.length <= 2 ? Number(nominalTime) * 60 : Number(nominalTime.slice(0, -2)) * 60 + Number(nominalTime.slice(-2)));
+                                plotObsTime = (obsTimeMinutes != nominalTimeMinutes);
+                            }
+
+                            if (plotObsTime) {
+                                element.appendChild(createTextElement(obsTimeText));
+                            }
+                        } else {
+                            console.debug('Observation time (GG) is not defined.')
+                        }
+                        break;
+
+                    // 21 (TwTwTw) - Sea surface temperature value
+                    // from SYNOP section 222 (ship and buoy reports, or coastal stations), group 0ssTwTwTw.
+                    // Same "raw"/"rounded" handling as TTT (cell 6), following the "temperature" option.
+
+                    case 21:
+                        if (decodedData.hasOwnProperty("sea_surface_temperature")
+                            && decodedData.sea_surface_temperature != null
+                            && decodedData.sea_surface_temperature.value != null) {
+                            switch (options.temperature) {
+                                case "raw":
+                                    // 160 plotted as 16.0
+                                    element.appendChild(createTextElement(decodedData.sea_surface_temperature.value))
+                                    break;
+                                case "rounded":
+                                    // 160 plotted as 16
+                                    element.appendChild(createTextElement(Math.round(decodedData.sea_surface_temperature.value)))
+                                    break;
+                                default:
+                                    element.appendChild(createTextElement(decodedData.sea_surface_temperature.value))
+                                    break;
+                            }
+                        } else {
+                            console.debug('Sea surface temperature (TwTwTw) is not defined.')
+                        }
+                        break;
+
+                    // 22 (PwaPwaHwaHwa or PwPwHwHw) - Period and height of wind waves (value)
+                    // from SYNOP section 222: group 1PwaPwaHwaHwa for waves measured instrumentally, group 2PwPwHwHw for estimated waves.
+                    // Only one pair is plotted: instrumental data take precedence over estimated data, estimated waves are plotted only if
+                    // no instrumental measurement was reported. If 70HwaHwaHwa gave the instrumental height in tenths of a metre, that one is used
+                    // (pymetdecoder may decode it into an entry of its own, without period, which is merged into the instrumental one).
+                    // Plotted as code figures: period in seconds, height in units of 0.5 m, e.g. period 6 s and height 2.5 m is plotted as 0605.
+                    // Confused sea (period reported as 99) is plotted with period 99.
+                    // WMO-No. 306 has no distinct notation for the two kinds: estimated waves are plotted in parentheses, e.g. (0605), to tell them apart.
+
+                    case 22:
+                        if (decodedData.hasOwnProperty("wind_waves")
+                            && decodedData.wind_waves != null
+                            && decodedData.wind_waves.length > 0) {
+                            var accurateHeight = decodedData.wind_waves.find(wave => wave != null && wave.accurate && wave.period == null && !wave.confused);   // 70HwaHwaHwa, on its own
+                            var waves = decodedData.wind_waves.find(wave => wave != null && wave.instrumental && wave !== accurateHeight);   // instrumental (PwaPwaHwaHwa)
+                            if (waves != null && accurateHeight != null && accurateHeight.height != null) {
+                                waves = Object.assign({}, waves, {height: accurateHeight.height, accurate: true});
+                            }
+                            var estimated = false;
+                            if (waves == null) {
+                                waves = decodedData.wind_waves.find(wave => wave != null && !wave.instrumental);  // estimated (PwPwHwHw)
+                                estimated = (waves != null);
+                            }
+                            if (waves == null) {
+                                waves = accurateHeight;     // only 70HwaHwaHwa
+                            }
+                            if (waves != null) {
+                                var period = (waves.confused ? "99" : (waves.period != null && waves.period.value != null ? String(waves.period.value).padStart(2, 0) : "//"));
+                                var height = (waves.height != null && waves.height.value != null ? String(Math.round(waves.height.value * 2)).padStart(2, 0) : "//");
+                                element.appendChild(createTextElement(estimated ? "(" + period + height + ")" : period + height));
+                            }
+                        } else {
+                            console.debug('Wind waves (PwaPwaHwaHwa or PwPwHwHw) are not defined.')
+                        }
+                        break;
+
                     // 23 (RRR/tR) - Precipitation
                     // RRR: CODE TABLE 3590. Precipitation amount.
                     // tR: CODE TABLE 4019. Length of time covered (6-12-18-24h). CODE is plotted!! 
@@ -921,13 +1481,19 @@ async function meteoStation(data, pointCoords, userOptions){
                     // tR codes 5-9 are 1, 2, 3, 9, 15 hours preceding the obs.
 
                     case 23:
-                        if (decodedData.hasOwnProperty("precipitation_indicator")) {
-                            w = h = 13.33;
+                        w = h = 13.33;
+                        // ship reports (section 222 group 222Dsvs) also have the ship's movement in this cell: RRR/tR is shifted to the upper half, Ds vs to the lower half
+                        var hasShipMovement = (decodedData.hasOwnProperty("displacement") && decodedData.displacement != null);
+                        var precipShiftY = (hasShipMovement ? -h/3.2 : 0);
+
+                        if (decodedData.hasOwnProperty("precipitation_indicator") && decodedData.precipitation_indicator != null) {
                             if (decodedData.precipitation_indicator.value == 3) {
                                 // A-450 page, RRR scenario b): precip amount is zero (iR = 3), RRR is not plotted on map. Do nothing.
                             } else if (decodedData.precipitation_indicator.value == 4){
                                 // A-450 page, RRR scenario c): no precip observation was made (iR = 4), RRR plotted as "///"
-                                element.appendChild(createTextElement("///"));
+                                var noPrecipObs_SVG = createTextElement("///");
+                                noPrecipObs_SVG.setAttribute("transform", "translate(0 "+precipShiftY+")");
+                                element.appendChild(noPrecipObs_SVG);
                             } else {
                                 // A-449 page, RRR scenario a): precip amount reported (iR = 1 or 2), RRR is plotted on map.
                                 if (decodedData.hasOwnProperty("precipitation_s1") || decodedData.hasOwnProperty("precipitation_s3")) {
@@ -938,10 +1504,10 @@ async function meteoStation(data, pointCoords, userOptions){
                                     for (let [indicator, value] of Object.entries(decodedData.precipitation_indicator)) {
                                         if (indicator == "in_group_1" && value == true) {
                                             precipAmount = decodedData.precipitation_s1.amount.value
-                                            precipTimeBeforeObs = decodedData.precipitation_s1.time_before_obs._code    // code is plotted! Page A-450.
+                                            precipTimeBeforeObs = (decodedData.precipitation_s1.time_before_obs != null ? decodedData.precipitation_s1.time_before_obs._code : null)    // code is plotted! Page A-450.
                                         } else if (indicator == "in_group_3" && value == true) {
                                             precipAmount = decodedData.precipitation_s3.amount.value
-                                            precipTimeBeforeObs = decodedData.precipitation_s3.time_before_obs._code
+                                            precipTimeBeforeObs = (decodedData.precipitation_s3.time_before_obs != null ? decodedData.precipitation_s3.time_before_obs._code : null)
                                         }
                                     }
                                     
@@ -956,21 +1522,48 @@ async function meteoStation(data, pointCoords, userOptions){
                                     if (precipTimeBeforeObs != null) {
                                         var finalAmount_SVG = createTextElement(finalAmount);
                                         finalAmount_SVG.setAttribute("transform-origin", w/2+" "+h/2)       
-                                        finalAmount_SVG.setAttribute("transform", "translate(-"+w/4.2+" 0)");    // shift -X
+                                        finalAmount_SVG.setAttribute("transform", "translate(-"+w/4.2+" "+precipShiftY+")");    // shift -X
                                         element.appendChild(finalAmount_SVG)
 
                                         var finalPrecipTimeBeforeObs_SVG = createTextElement(precipTimeBeforeObs);
                                         finalPrecipTimeBeforeObs_SVG.setAttribute("transform-origin", w/2+" "+h/2)       
-                                        finalPrecipTimeBeforeObs_SVG.setAttribute("transform", "translate("+w/3+" 0)");    // shift +X
+                                        finalPrecipTimeBeforeObs_SVG.setAttribute("transform", "translate("+w/3+" "+precipShiftY+")");    // shift +X
                                         element.appendChild(finalPrecipTimeBeforeObs_SVG)
                                     } else {
-                                        element.appendChild(createTextElement(finalAmount));
+                                        var finalAmount_SVG = createTextElement(finalAmount);
+                                        finalAmount_SVG.setAttribute("transform", "translate(0 "+precipShiftY+")");
+                                        element.appendChild(finalAmount_SVG);
                                     }
                                 }
                             }                        
                         } else {
                             console.debug('RRR Precipitation property is not defined.')
                         }
+
+                        // SHIP MOVEMENT: Ds (CODE TABLE 0700) as a rotated arrow symbol, vs (CODE TABLE 4451) as code figure right of it
+                        // [RRR  tR]
+                        // [       ]
+                        // [Ds   vs]
+                        if (hasShipMovement) {
+                            var shipDirection = decodedData.displacement.direction;
+                            // Ds = 1 (NE) ... 8 (N) gives the direction of movement in 45 deg steps. Ds = 0 (ship hove to) and Ds = 9 (unknown) have no arrow.
+                            if (shipDirection != null && shipDirection._code >= 1 && shipDirection._code <= 8) {
+                                var icon = loadSVGIcon('./symbols/Ds_ShipDirection/WeatherSymbol_WMO_ShipDirection_Ds.svg', options);
+                                if (icon) {
+                                    icon.setAttribute("width", w)
+                                    icon.setAttribute("height", h)
+                                    icon.setAttribute("transform-origin", w/2+" "+h/2)
+                                    icon.setAttribute("transform", `translate(-${w/4.2} ${h/3.2}) rotate(${shipDirection._code * 45 - 90})`)     // -90 deg rotation offset is needed due to symbol pointing east (90 deg) by default
+                                    element.appendChild(icon)
+                                }
+                            }
+                            if (decodedData.displacement.speed != null && decodedData.displacement.speed._code != null) {
+                                var vs_value_SVG = createTextElement(decodedData.displacement.speed._code);
+                                vs_value_SVG.setAttribute("transform-origin", w/2+" "+h/2)
+                                vs_value_SVG.setAttribute("transform", "translate("+w/3+" "+h/3.2+")");    // shift +X +Y
+                                element.appendChild(vs_value_SVG)
+                            }
+                        }
                         break;
 
 
@@ -984,11 +1577,86 @@ async function meteoStation(data, pointCoords, userOptions){
 
                 x += 13.33; // go to next cell to the right
             } else {
-                // bottom special slot "d(w1)d(w1)..."
-                // TODO
+                // 25 (dw1dw1Pw1Pw1Hw1Hw1 + dw2dw2Pw2Pw2Hw2Hw2) - Swell waves. Bottom special slot, outside and below the 5x5 grid.
+                // From SYNOP section 222 (ship and buoy reports): group 3dw1dw1dw2dw2 gives the directions, 4Pw1Pw1Hw1Hw1 and 5Pw2Pw2Hw2Hw2 the period and height of both swell systems.
+                // dwdw (CODE TABLE 0877) is plotted as the swell arrow symbol, rotated to point in the direction the swell is moving (from the reported true direction).
+                // PwPwHwHw is plotted as reported: period in seconds, height in units of 0.5 m (code figures), e.g. period 8 s and height 3.5 m is plotted as 0807.
+                // [dw1  Pw1Pw1Hw1Hw1  dw2  Pw2Pw2Hw2Hw2]
+
+                y += 13.33; // row below the grid
+                element.setAttribute("transform", "translate(16.66, "+y+")");
+                svg.appendChild(element)
+
+                if (options.hasOwnProperty('elementsToOmit') && options.elementsToOmit.includes(idx)) {
+                    console.warn(`Omitting content for user-defined cell number ${idx}.`)
+                    return;
+                }
+
+                if (decodedData.hasOwnProperty("swell_waves")
+                    && decodedData.swell_waves != null
+                    && decodedData.swell_waves.length > 0) {
+                    w = h = 13.33;
+                    var swellSystemWidth = 33.33;  // swell arrow + PwPwHwHw value
+                    var swellSystems = decodedData.swell_waves.filter(system => system != null).slice(0, 2);
+                    swellSystems.forEach((system, systemIdx) => {
+                        // one system is centered under the grid, two systems are plotted next to each other
+                        var offsetX = (swellSystems.length == 1 ? swellSystemWidth/2 : systemIdx * swellSystemWidth);
+
+                        // SWELL DIRECTION symbol
+                        var icon;
+                        if (system.direction == null) {
+                            // direction not reported (dwdw = //)
+                            icon = loadSVGIcon('./symbols/dw1dw1_SwellDirection/WeatherSymbol_WMO_SwellDirection_dw1dw1_Missing.svg', options);
+                        } else if (system.direction.calm) {
+                            // dwdw = 00, no swell waves
+                            icon = loadSVGIcon('./symbols/dw1dw1_SwellDirection/WeatherSymbol_WMO_SwellDirection_dw1dw1_00.svg', options);
+                        } else if (system.direction.varAllUnknown) {
+                            // dwdw = 99, confused sea (direction indeterminate)
+                            icon = loadSVGIcon('./symbols/dw1dw1_SwellDirection/WeatherSymbol_WMO_SwellDirection_dw1dw1_99.svg', options);
+                        } else {
+                            icon = loadSVGIcon('./symbols/dw1dw1_SwellDirection/WeatherSymbol_WMO_SwellDirection_dw1dw1.svg', options);
+                        }
+                        if (icon) {
+                            icon.setAttribute("width", w)
+                            icon.setAttribute("height", h)
+                            icon.setAttribute("transform-origin", w/2+" "+h/2)
+                            if (system.direction != null && system.direction.value != null) {
+                                icon.setAttribute("transform", `translate(${offsetX} 0) rotate(${system.direction.value + 90})`)    // +90 deg rotation offset is needed due to symbol being positioned to indicate swell from 270 deg (moving east) by default
+                            } else {
+                                icon.setAttribute("transform", `translate(${offsetX} 0)`)
+                            }
+                            element.appendChild(icon)
+                        }
+
+                        // SWELL PERIOD AND HEIGHT value
+                        if (system.period != null || system.height != null) {
+                            var period = (system.period != null && system.period.value != null ? String(system.period.value).padStart(2, 0) : "//");
+                            var height = (system.height != null && system.height.value != null ? String(Math.round(system.height.value * 2)).padStart(2, 0) : "//");
+                            var PwHw_value_SVG = createTextElement(period + height);
+                            PwHw_value_SVG.setAttribute("transform-origin", w/2+" "+h/2)
+                            PwHw_value_SVG.setAttribute("transform", "translate("+(offsetX + w*1.35)+" 0)");    // right of the swell arrow
+                            element.appendChild(PwHw_value_SVG)
+                        }
+                    });
+                    swellPlotted = true;
+                } else {
+                    console.debug('Swell waves (dwdwPwPwHwHw) are not defined.')
+                }
             }
         });
-        
+
+    } else if (decodeError != null && options.undecodable == "placeholder") {
+        var centerSlot = plottingModelSlotsContent[12];
+        centerSlot.setAttribute("transform", "translate(50, 50)");
+        centerSlot.appendChild(createUndecodableElement(decodeError));
+        svg.appendChild(centerSlot);
+    }
+
+    // the extra row below the grid (cell 25) ends at the bottom edge of the 100x100 canvas, rotated swell arrows would be clipped: grow the canvas by a row
+    // at the bottom and, to keep the central station circle in the middle of the symbol (wrappers anchor icons at their center), by a row at the top as well
+    if (swellPlotted) {
+        svg.setAttribute('height', 100 + 2 * 13.33);
+        svg.setAttribute('viewBox', `0 -13.33 100 ${100 + 2 * 13.33}`);
     }
     
 /*
@@ -997,5 +1665,12 @@ async function meteoStation(data, pointCoords, userOptions){
     const endTimeAssembly = performance.now();
     console.debug(`Symbol assembly took: ${Math.round(endTimeAssembly - startTimeAssembly)} ms`)
 
+    // the diagnostic of an undecodable report (or of a skipped group) is kept on the symbol, for wrappers and applications
+    svg.decodeError = decodeError;
+    // the station (IIiii, call sign or ICAO location indicator, null if not known) and the number of cells with content, e.g. for the decluttering of the Leaflet wrapper
+    var station = (decodedData != null ? (decodedData.station_id != null ? decodedData.station_id : decodedData.callsign) : null);
+    svg.stationId = (station != null ? station.value : null);
+    svg.plottedCells = plottingModelSlotsContent.filter((element, idx) => element.childNodes.length > (options.debug && idx != 12 ? 1 : 0)).length;
+
     return svg;
 }
@@ -1,13 +1,18 @@
 /**
  * station-model-symbology: main_worker.js
  * 
- * Decodes SYNOP reports with Python module pymetdecoder, within Pyodide. Requires "pymetdecoder.zip" in the same folder
+ * Decodes SYNOP reports, either with Python module pymetdecoder, within Pyodide (default), or with the pure JavaScript decoder (synop_decoder.js).
+ * The Pyodide backend requires "pymetdecoder.zip" (option "decoderArchiveUrl"), and is only started when the first report for it is received.
+ * METAR/SPECI reports (metar_decoder.js) and BUFR messages (bufr_decoder.js) are always decoded in pure JavaScript.
+ * Receives batches of reports ({decoder, batch: [{id, SYNOP_raw, BUFR_raw, BUFR_subset, METAR_raw}]}) and answers each with one message ({results: [{id, decoded, error}]}),
+ * where "error" is the diagnostic of a report that could not be decoded (see report_decoder.js).
+ * Several instances are run in parallel by worker_pool.js.
  */
 
-console.log('WEB WORKER INITIALIZING (before receiving any message)')
+import { decodeSynopReport } from './synop_decoder';
+import { decodeReport } from './report_decoder';
 
-importScripts("https://cdn.jsdelivr.net/pyodide/v0.29.0/full/pyodide.js") // pyodide from CDN
-//importScripts("./pyodide.js") // pyodide locally
+console.log('WEB WORKER INITIALIZING (before receiving any message)')
 
 var messageQueue = [];
 let pyodideStarting = false;
@@ -15,22 +20,25 @@ let processQueueIsRunning = false;
 var ctx;
 let startTimePyodideStartup, endTimePyodideStartup;
 let startTimePyodideImport, endTimePyodideImport;
-var base;
-var absolute;
+var pyodideIndexUrl;    // absolute URLs, from options "pyodideIndexUrl" and "decoderArchiveUrl" (see worker_pool.js)
+var decoderArchiveUrl;
 
 async function startPyodide() {
     console.log('WORKER: Pyodide is not running, starting up...')
     // Load Pyodide
     startTimePyodideStartup = performance.now();
     pyodideStarting = true;
-    var pyodide = await loadPyodide({fullStdLib: false});
+    importScripts(pyodideIndexUrl + "pyodide.js") // pyodide from CDN by default, or a local install
+    var pyodide = await loadPyodide({indexURL: pyodideIndexUrl, fullStdLib: false});
     console.log(`WORKER: Pyodide version ${pyodide.version} started.`)
     endTimePyodideStartup = performance.now();
 
     // get, then import pymetdecoder lib in Pyodide env
     startTimePyodideImport = performance.now();
-    let response = await fetch(absolute); // .zip, .whl, ...
-    //let response = await fetch("./pymetdecoder.zip"); // .zip, .whl, ...
+    let response = await fetch(decoderArchiveUrl); // .zip, .whl, ...
+    if (!response.ok) {
+        throw new Error(`${decoderArchiveUrl} could not be loaded (HTTP ${response.status})`);
+    }
     let buffer = await response.arrayBuffer();
     await pyodide.unpackArchive(buffer, "zip"); // by default, unpacks to the current dir
     pyodide.pyimport("pymetdecoder");
@@ -49,12 +57,10 @@ async function startPyodide() {
 
 
 
-function decodeSynop(encoded) {
-
-    console.debug('decodeSynop starting to process:', encoded)
-
+// decodes one SYNOP report with pymetdecoder, within Pyodide (must be running)
+function decodeSynopPyodide(synopString) {
     const dataToPass = {
-        synopString: encoded.SYNOP_raw
+        synopString: synopString
     }
     
     // get dict and insert our input data to pass to Python env
@@ -62,7 +68,6 @@ function decodeSynop(encoded) {
     const globals = dict(Object.entries(dataToPass));
     dict.destroy()  // avoiding memory leaks. See: https://pyodide.org/en/stable/usage/type-conversions.html#proxying-from-python-into-javascript
 
-    const startTimeSynop = performance.now();
     // run python code:
     var decoded = ctx.runPython(`       
         import json
@@ -71,45 +76,62 @@ function decodeSynop(encoded) {
         json.dumps(decoded)
     `, {globals});
 
-    const endTimeSynop = performance.now();
-
     // parse decoded data to JSON
-    var parsed = JSON.parse(decoded)
-    parsed['_raw'] = encoded.SYNOP_raw; // include raw encoded SYNOP string for debug purposes
+    return JSON.parse(decoded);
+}
+
+// decodes a batch of reports, posts all results back to the main script in one message
+function decodeBatch(message, decodeSynop = (message.decoder == "pyodide" ? decodeSynopPyodide : decodeSynopReport)) {
+    const startTimeBatch = performance.now();
+    var results = message.batch.map(report => Object.assign({id: report.id}, decodeReport(report, decodeSynop)));
+    const endTimeBatch = performance.now();
 
     console.debug("WORKER: Posting message back to main script");
-    // send decoded SYNOP data out of worker to the Main code thread
-    postMessage({decoded: parsed, leafletID: encoded.leafletID});
-    const endTimeWorker = performance.now();
+    postMessage({results: results});
 
-    //console.debug(`WORKER: finished working. Took ${Math.round(endTimeWorker - startTimeWorker)} ms total, of which:`)
- 
-    console.debug('This Synop decoding took (ms)', Math.round(endTimeSynop - startTimeSynop))
+    console.debug(`This batch of ${results.length} reports took (ms)`, Math.round(endTimeBatch - startTimeBatch))
 }
 
 function processQueue(){
     processQueueIsRunning = true;
     while (messageQueue.length > 0) {
-        decodeSynop(messageQueue.shift());
+        decodeBatch(messageQueue.shift());
     }
     console.log('WORKER: Queue processing finished, queue is now empty.')
     processQueueIsRunning = false;
 }
 
 function handleMessage(e){  
-    console.log("WORKER: Message received from main script, with data:", e.data);
+    console.log(`WORKER: Message received from main script, with a batch of ${e.data.batch.length} reports`);
 
-    const startTimeWorker = performance.now();
+    // METAR/SPECI and BUFR are always decoded in pure JavaScript, so only batches with SYNOP need Pyodide
+    var needsPyodide = (e.data.decoder == "pyodide" && e.data.batch.some(report => report.SYNOP_raw != null));
 
-    if (e.data.SYNOP_raw == null) {
-        // attrib SYNOP_raw is null in feature attributes, dont process
-        postMessage({decoded: null, leafletID: e.data.leafletID});
+    if (!needsPyodide) {
+        // pure JavaScript decoder, no startup needed
+        decodeBatch(e.data);
     } else {
-        // check if pyodide is still starting when the message is received. If so, put in queue.
-        if (pyodideStarting) {
+        // check if pyodide is still starting (or not started yet) when the message is received. If so, put in queue.
+        if (ctx == null) {
+            if (!pyodideStarting) {
+                startPyodide().then(pyodide => {
+                    ctx = pyodide;
+                    if (messageQueue.length > 0) {
+                        processQueue()
+                    }
+                }, error => {
+                    // Pyodide or pymetdecoder could not be loaded (e.g. wrong "pyodideIndexUrl", or no network): every queued report is answered with
+                    // this error as its diagnostic (METAR/SPECI is still decoded), the next batch tries to start Pyodide again
+                    console.error('WORKER: Pyodide could not be started:', error);
+                    pyodideStarting = false;
+                    var startupFailed = () => { throw new Error(`Pyodide could not be started: ${error.message}`); };
+                    while (messageQueue.length > 0) {
+                        decodeBatch(messageQueue.shift(), startupFailed);
+                    }
+                })
+            }
             console.log('WORKER: Pyodide still starting! Message/data put into queue.')
             messageQueue.push(e.data);
-            //console.log(messageQueue)
         } else {
         // pyodide is running, put msg in queue. If processing the queue is not running, start.
             messageQueue.push(e.data);
@@ -122,20 +144,11 @@ function handleMessage(e){
 }
 
 onmessage = (e) => {
-    if (e.data.hasOwnProperty('SYNOP_raw')) {
+    if (e.data.hasOwnProperty('batch')) {
         handleMessage(e);
-    } else {
-    
-        // to have current baseURI: https://stackoverflow.com/a/4019297
-        base = e.data;
-        absolute = new URL( "./pymetdecoder.zip", base );   //pymetdecoder.zip should also be supplied. Always in the same folder, as the main JS file (bundle or not)
-        console.log('base ', base, absolute)
-
-        startPyodide().then(pyodide => {
-            ctx = pyodide;
-            if (messageQueue.length > 0) {
-                processQueue(pyodide)
-            }
-        })
+    } else if (e.data.hasOwnProperty('config')) {
+        pyodideIndexUrl = e.data.config.pyodideIndexUrl;
+        decoderArchiveUrl = e.data.config.decoderArchiveUrl;
+        console.log('WORKER: Pyodide from', pyodideIndexUrl, ', pymetdecoder from', decoderArchiveUrl)
     }
 }
\ No newline at end of file
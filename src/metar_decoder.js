@@ -0,0 +1,225 @@
+/**
+ * station-model-symbology: metar_decoder.js
+ *
+ * Decodes METAR and SPECI reports (FM 15 / FM 16) in pure JavaScript, into the same object shape as the SYNOP decoders (see synop_decoder.js),
+ * so meteoStation() in main.js plots them onto the same cells. See the README for the mapping table.
+ * Aviation-only elements (RVR, variable wind direction, recent weather, wind shear, runway state, trend, remarks) are dropped.
+ */
+
+import { directionDegrees, visibility, cloudCover, lowestCloudBase, visibilityCode, cloudBaseCode, DecodeError } from './synop_decoder';
+
+export { decodeMetarReport };
+
+// cloud amount in oktas for the cloud layers of METAR
+const CLOUD_AMOUNT_OKTA = {FEW: 2, SCT: 4, BKN: 6, OVC: 8};
+
+// weather group: intensity or proximity, descriptor, phenomena
+const WEATHER_GROUP = /^(-|\+|VC)?(MI|PR|BC|DR|BL|SH|TS|FZ)?((?:DZ|RA|SN|SG|IC|PL|GR|GS|UP|BR|FG|FU|VA|DU|SA|HZ|PO|SQ|FC|SS|DS)*)$/;
+
+// groups starting the trend or the remarks, nothing is decoded after them
+const END_OF_REPORT = ["NOSIG", "BECMG", "TEMPO", "RMK"];
+
+// one METAR weather group to present weather ww, code table 4677. Returns null if it has no ww equivalent (e.g. UP).
+function presentWeatherCode(group) {
+    var match = WEATHER_GROUP.exec(group);
+    if (match == null || (match[2] == null && match[3] == "")) return null;
+    var intensity = match[1] || "";
+    var descriptor = match[2] || "";
+    var phenomena = match[3].match(/../g) || [];
+    var has = (...codes) => codes.some(code => phenomena.includes(code));
+    var light = intensity == "-";
+    var heavy = intensity == "+";
+
+    if (intensity == "VC") {
+        // in the vicinity, not at the station
+        if (descriptor == "TS") return 17;
+        if (descriptor == "SH") return 16;
+        if (has("FG")) return 40;
+        if (has("PO")) return 8;
+        if (has("DS", "SS")) return 9;
+        if (descriptor == "BL") return (has("SN") ? 38 : 7);
+        return null;
+    }
+    if (descriptor == "TS") {
+        if (!has("DZ", "RA", "SN", "SG", "IC", "PL", "GR", "GS", "UP")) return 17;
+        if (has("GR", "GS")) return (heavy ? 99 : 96);
+        return (heavy ? 97 : 95);
+    }
+    if (has("FC")) return 19;
+    if (has("SQ")) return 18;
+    if (has("DS", "SS")) return (heavy ? 34 : 31);
+    if (descriptor == "BL" || descriptor == "DR") {
+        if (has("SN")) return (descriptor == "BL" ? (heavy ? 39 : 38) : (heavy ? 37 : 36));
+        return 7;
+    }
+    if (descriptor == "SH") {
+        if (has("GR")) return (heavy ? 90 : 89);
+        if (has("GS", "PL")) return (heavy ? 88 : 87);
+        if (has("RA") && has("SN")) return (light ? 83 : 84);
+        if (has("SN")) return (light ? 85 : 86);
+        if (has("RA")) return (light ? 80 : (heavy ? 82 : 81));
+        return null;
+    }
+    if (descriptor == "FZ") {
+        if (has("FG")) return 49;
+        if (has("DZ")) return (light ? 56 : 57);
+        if (has("RA")) return (light ? 66 : 67);
+        return null;
+    }
+    if (has("RA") && has("SN")) return (light ? 68 : 69);
+    if (has("DZ") && has("RA")) return (light ? 58 : 59);
+    if (has("DZ")) return (light ? 51 : (heavy ? 55 : 53));
+    if (has("RA")) return (light ? 61 : (heavy ? 65 : 63));
+    if (has("SN")) return (light ? 71 : (heavy ? 75 : 73));
+    if (has("SG")) return 77;
+    if (has("IC")) return 76;
+    if (has("PL")) return 79;
+    if (has("GR")) return (heavy ? 90 : 89);
+    if (has("GS")) return (heavy ? 88 : 87);
+    if (has("FG")) return (descriptor == "MI" ? 12 : (descriptor == "BC" ? 11 : (descriptor == "PR" ? 41 : 45)));
+    if (has("BR")) return 10;
+    if (has("HZ")) return 5;
+    if (has("FU", "VA")) return 4;
+    if (has("DU")) return 6;
+    if (has("SA")) return 7;
+    if (has("PO")) return 8;
+    return null;
+}
+
+// MTT or TT, whole degrees
+function metarTemperature(raw) {
+    if (!/^M?\d\d$/.test(raw)) return null;
+    var value = Number(raw.replace("M", ""));
+    return {value: (raw[0] == "M" ? -value : value), unit: "Cel"};
+}
+
+// visibility in statute miles: "10SM", "1/2SM", "M1/4SM", or "1 1/2SM" (given as two groups)
+function statuteMiles(raw) {
+    var match = /^(M|P)?(?:(\d+) )?(\d+)(?:\/(\d+))?SM$/.exec(raw);
+    if (match == null) return null;
+    var miles = (match[2] != null ? Number(match[2]) : 0) + (match[4] != null ? Number(match[3]) / Number(match[4]) : Number(match[3]));
+    return miles * 1609.344;
+}
+
+// decode one METAR or SPECI report into the SYNOP decoder object shape
+// throws a DecodeError if the report can not be decoded at all
+function decodeMetarReport(report) {
+    var groups = String(report).replace(/=+\s*$/, "").trim().split(/\s+/);
+    var i = 0;
+    var data = {};
+
+    // type of report (often omitted in collections of reports), modifiers
+    data.station_type = {value: (groups[i] == "METAR" || groups[i] == "SPECI" ? groups[i++] : "METAR")};
+    if (groups[i] == "COR" || groups[i] == "AMD") i++;
+
+    // CCCC - ICAO location indicator
+    var station = groups[i++];
+    if (station == null || !/^[A-Z][A-Z0-9]{3}$/.test(station)) throw new DecodeError(`${station} is an invalid ICAO location indicator`, station, i - 1);
+    data.station_id = {value: station};
+    data.region = null;
+
+    // YYGGggZ - day and time of observation
+    var time = /^(\d\d)(\d\d)(\d\d)Z$/.exec(groups[i] || "");
+    if (time == null) throw new DecodeError(`${groups[i]} is an invalid YYGGggZ group`, groups[i], i);
+    i++;
+    data.obs_time = {day: {value: Number(time[1])}, hour: {value: Number(time[2])}};
+    data.exact_obs_time = {hour: {value: Number(time[2])}, minute: {value: Number(time[3])}};
+
+    if (groups[i] == "NIL") return data;
+    var automatic = false;
+    if (groups[i] == "AUTO") {
+        automatic = true;
+        i++;
+    }
+
+    data.surface_wind = null;
+    data.visibility = null;
+    data.cloud_cover = null;
+    data.lowest_cloud_base = null;
+    data.present_weather = null;
+    var weatherCodes = [];
+    var layers = [];
+
+    for (; i < groups.length; i++) {
+        var group = groups[i];
+        var match;
+        if (END_OF_REPORT.includes(group)) {
+            break;
+        } else if ((match = /^(\d{3}|VRB|\/{3})(\d{2,3}|\/\/)(?:G(\d{2,3}))?(KT|MPS|KMH)$/.exec(group))) {
+            // dddff(Gfmfm)KT - surface wind, km/h converted to knots
+            var toUnit = (value => (match[4] == "KMH" ? Math.round(value / 1.852) : value));
+            var speed = (match[2] != "//" ? toUnit(Number(match[2])) : null);
+            var direction = null;
+            if (match[1] == "VRB") {
+                direction = directionDegrees("99");
+            } else if (match[1] != "///") {
+                var dd = Math.round(Number(match[1]) / 10);
+                direction = directionDegrees(String(dd == 0 && speed > 0 ? 36 : dd).padStart(2, "0"));
+            }
+            var unit = (match[4] == "MPS" ? "m/s" : "KT");
+            data.wind_indicator = {value: (unit == "m/s" ? 1 : 4), unit: unit, estimated: false};
+            data.surface_wind = {direction: direction, speed: (speed != null ? {value: speed, unit: unit} : null)};
+            if (match[3] != null) {
+                data.highest_gust = [{speed: {value: toUnit(Number(match[3])), unit: unit}, direction: null, measure_period: {value: 10, unit: "min"}}];
+            }
+        } else if (group == "CAVOK") {
+            // visibility 10 km or more, no cloud below 1500 m (or the highest minimum sector altitude) and no cumulonimbus, no significant weather
+            data.visibility = visibility("60");
+        } else if ((match = /^(\d{4})(?:NDV)?$/.exec(group)) && data.visibility == null) {
+            // VVVV - prevailing visibility in metres, 9999 is 10 km or more
+            data.visibility = visibility(String(visibilityCode(Number(match[1]) == 9999 ? 10000 : Number(match[1]))).padStart(2, "0"));
+        } else if (/SM$/.test(group) && data.visibility == null) {
+            var metres = statuteMiles(/^\d+$/.test(groups[i - 1]) ? groups[i - 1] + " " + group : group);
+            if (metres != null) data.visibility = visibility(String(visibilityCode(metres)).padStart(2, "0"));
+        } else if (/^(FEW|SCT|BKN|OVC)(\d{3}|\/{3})(CB|TCU|\/\/\/)?$/.test(group)) {
+            // NsNsNshshshs(CC) - cloud layer, height in hundreds of feet
+            match = /^(FEW|SCT|BKN|OVC)(\d{3}|\/{3})(CB|TCU|\/\/\/)?$/.exec(group);
+            layers.push({okta: CLOUD_AMOUNT_OKTA[match[1]], height: (match[2] != "///" ? Number(match[2]) * 30.48 : null), type: match[3]});
+        } else if ((match = /^VV(\d{3}|\/{3})$/.exec(group))) {
+            // vertical visibility, sky obscured
+            data.cloud_cover = cloudCover("9");
+            data.lowest_cloud_base = (match[1] != "///" ? lowestCloudBase(String(cloudBaseCode(Number(match[1]) * 30.48))) : null);
+        } else if (["NSC", "NCD", "SKC", "CLR"].includes(group)) {
+            data.cloud_cover = cloudCover("0");
+        } else if ((match = /^(M?\d\d|\/\/)\/(M?\d\d|\/\/)?$/.exec(group))) {
+            // T'T'/T'dT'd - air temperature and dew-point temperature
+            data.air_temperature = metarTemperature(match[1]);
+            data.dewpoint_temperature = metarTemperature(match[2]);
+        } else if ((match = /^([QA])(\d{4})$/.exec(group))) {
+            // QPHPHPHPH (hPa) or APHPHPHPH (hundredths of inHg) - QNH, plotted as the pressure reduced to sea level
+            var qnh = (match[1] == "Q" ? Number(match[2]) : Math.round(Number(match[2]) * 3.38639) / 10);
+            data.sea_level_pressure = {value: qnh, unit: "hPa"};
+        } else if (WEATHER_GROUP.test(group) && !/^RE/.test(group)) {
+            // w'w' - present weather, the highest ww code figure is plotted
+            var ww = presentWeatherCode(group);
+            if (ww != null) weatherCodes.push(ww);
+        }
+        // anything else (RVR, variable wind direction, NSW, recent weather, wind shear, runway state, sea state) is dropped
+    }
+
+    if (weatherCodes.length > 0) {
+        data.present_weather = {value: Math.max(...weatherCodes), _table: "4677", time_before_obs: null};
+    }
+    // ix: manned (1, 2) or automatic (4, 5) station, with or without significant weather. Code table 4677 is used for both (mannedTables), not the wawa table of automatic SYNOP.
+    data.weather_indicator = (automatic ? {value: (data.present_weather != null ? 4 : 5), automatic: true, mannedTables: true} : {value: (data.present_weather != null ? 1 : 2), automatic: false});
+
+    if (layers.length > 0) {
+        // METAR layers are cumulative, the total cloud cover is that of the most covering layer
+        data.cloud_cover = cloudCover(String(Math.max(...layers.map(layer => layer.okta))));
+        var baseLayer = layers.find(layer => layer.height != null);
+        data.lowest_cloud_base = (baseLayer != null ? lowestCloudBase(String(cloudBaseCode(baseLayer.height))) : null);
+
+        // the only cloud types of METAR: cumulonimbus (CL 9) and towering cumulus (CL 2)
+        var convective = layers.find(layer => layer.type == "CB") || layers.find(layer => layer.type == "TCU");
+        if (convective != null) {
+            data.cloud_types = {
+                low_cloud_type: {_table: "0513", value: (convective.type == "CB" ? 9 : 2)},
+                middle_cloud_type: null,
+                high_cloud_type: null,
+                low_cloud_amount: {value: convective.okta, unit: "okta"}
+            };
+        }
+    }
+
+    return data;
+}
@@ -0,0 +1,140 @@
+/**
+ * station-model-symbology: node.js
+ *
+ * Headless renderer for Node.js, for module "station-model-symbology": renders station models to SVG strings, without a browser or DOM globals.
+ * The WMO symbols are read from the filesystem (option "symbolsBaseUrl", a folder path or file: URL), the reports are decoded in-process,
+ * with the pure JavaScript decoders (report_decoder.js). Single station models, or whole charts of them (renderChart()). Bundled by Rollup into dist/station-model-symbology-node.js (ES module) and .cjs.
+ */
+
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { meteoStation, clearDecodeCache, setEnvironment } from './main';
+import { svgDocument, parseSvg } from './svg_document';
+import { decodeReport } from './report_decoder';
+import { reportPosition } from './synop_decoder';
+import { bufrSubsetPositions } from './bufr_decoder';
+import { composeChart } from './chart_export';
+
+export { renderStationModel, renderChart, clearDecodeCache };
+
+var parsedSymbols = new Map();  // file path -> SVG element (or null, if there is no such file)
+
+function symbolsFolder(options) {
+    var base = String(options.symbolsBaseUrl);
+    return (base.startsWith("file:") ? fileURLToPath(base) : base);
+}
+
+// reads and parses each symbol file once, returns a copy for each station model, as they are modified when placed
+function loadSymbol(name, options) {
+    var file = join(symbolsFolder(options), name);
+    if (!parsedSymbols.has(file)) {
+        var symbol;
+        try {
+            symbol = parseSvg(readFileSync(file, "utf8"));
+        } catch (error) {
+            console.error(`Symbol ${file} could not be loaded:`, error.message);
+            symbol = null;
+        }
+        parsedSymbols.set(file, symbol);
+    }
+    var parsed = parsedSymbols.get(file);
+    return (parsed != null ? parsed.cloneNode(true) : null);
+}
+
+// decodes in-process, there are no workers: decoder "pyodide" is not available, the pure JavaScript decoder is used instead
+var pyodideWarned = false;
+async function decodeInProcess(report, options) {
+    if (options.decoder == "pyodide" && !pyodideWarned) {
+        console.warn('Decoder "pyodide" is not available in Node.js, the pure JavaScript decoder is used.');
+        pyodideWarned = true;
+    }
+    var result = decodeReport(report);
+    return {decoded: result.decoded, error: (result.error != null ? result.error : null)};
+}
+
+setEnvironment({document: svgDocument, loadSymbol: loadSymbol, decodeReport: decodeInProcess});
+
+// renders the station model of one report to an SVG string
+// input: a SYNOP report string, or the same object as meteoStation() takes ({rawSynop}, {rawBufr} (with bufrSubset, the index of the station in the message, default the first), {rawMetar}
+// or {properties}, with option "propertyFields")
+// pointCoords: [lon, lat] of the station (needed for the wind shaft, depending on hemisphere), may be null for SHIP and SYNOP MOBIL reports
+// options: those of meteoStation(); a report that can not be decoded rejects the Promise with option undecodable: "reject"
+async function renderStationModel(input, pointCoords, options) {
+    var data = (typeof input == "string" ? {rawSynop: input} : input);
+    var finalSymbol = await meteoStation(data, pointCoords, options);
+    return finalSymbol.toString();
+}
+
+// map projections of renderChart(): [lon, lat] -> [x, y], y to the north
+const PROJECTIONS = {
+    equirectangular: ([lon, lat]) => [lon, lat],
+    mercator: ([lon, lat]) => [lon, 180 / Math.PI * Math.log(Math.tan(Math.PI / 4 + Math.max(-85, Math.min(85, lat)) * Math.PI / 360))]
+};
+
+// position of a station without coordinates, from its SHIP / SYNOP MOBIL report (or the subset of its BUFR message)
+function inputPosition(data) {
+    try {
+        if (data.rawSynop == null && data.rawBufr != null) {
+            var position = bufrSubsetPositions(data.rawBufr)[data.bufrSubset || 0];
+            return (position != null ? position : null);
+        }
+        return reportPosition(data.rawSynop);
+    } catch (error) {
+        return null;
+    }
+}
+
+// the stations of an input: one per subset of a BUFR message with several subsets (positioned by the subset), otherwise the input itself
+function inputStations(data, coordinates) {
+    if (data.rawSynop == null && data.rawBufr != null && data.bufrSubset == null) {
+        try {
+            var positions = bufrSubsetPositions(data.rawBufr);
+        } catch (error) {
+            positions = [];     // the error is shown when the message is decoded for its symbol
+        }
+        if (positions.length > 1) {
+            return positions.map((position, subset) => ({data: Object.assign({}, data, {bufrSubset: subset}), coordinates: position}));
+        }
+    }
+    return [{data: data, coordinates: (coordinates != null ? coordinates : inputPosition(data))}];
+}
+
+// renders the station models of several stations into one chart, an SVG document (string)
+// stations: [{input, coordinates}], as for renderStationModel(), a BUFR message with several subsets gives one station each; options: those of meteoStation(), and of the chart:
+// extent ([west, south, east, north] in degrees, default: around all stations), width (pixels, default 1000), height (pixels, default: from the extent),
+// projection ("mercator" (default), "equirectangular" or a function [lon, lat] -> [x, y], with y to the north), and background, backgroundImage, fontSize, fontFamily (see chart_export.js)
+async function renderChart(stations, options = {}) {
+    var placed = stations.flatMap((station) => {
+        var data = (typeof station.input == "string" ? {rawSynop: station.input} : station.input);
+        return inputStations(data, station.coordinates);
+    }).filter(station => station.coordinates != null);
+
+    var extent = options.extent;
+    if (extent == null) {
+        var lons = placed.map(station => station.coordinates[0]);
+        var lats = placed.map(station => station.coordinates[1]);
+        extent = [Math.min(...lons) - 1, Math.min(...lats) - 1, Math.max(...lons) + 1, Math.max(...lats) + 1];
+    }
+    var projection = (typeof options.projection == "function" ? options.projection : PROJECTIONS[options.projection || "mercator"]);
+    if (projection == null) {
+        throw new Error(`Unknown projection: ${options.projection}`);
+    }
+    var [minX, minY] = projection([extent[0], extent[1]]);
+    var [maxX, maxY] = projection([extent[2], extent[3]]);
+    var width = (options.width != null ? options.width : 1000);
+    var height = (options.height != null ? options.height : Math.round(width * (maxY - minY) / (maxX - minX)));
+
+    // a station without symbol (option undecodable: "reject") is left out of the chart
+    var chartStations = await Promise.all(placed.map(async (station) => {
+        try {
+            var symbol = await meteoStation(station.data, station.coordinates, options);
+        } catch (error) {
+            console.error('Station left out of the chart:', error.message);
+            return null;
+        }
+        var [x, y] = projection(station.coordinates);
+        return {symbol: symbol, x: (x - minX) / (maxX - minX) * width, y: (maxY - y) / (maxY - minY) * height};
+    }));
+    return composeChart(chartStations.filter(station => station != null), Object.assign({}, options, {width: width, height: height}));
+}
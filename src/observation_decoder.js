@@ -0,0 +1,267 @@
+/**
+ * station-model-symbology: observation_decoder.js
+ *
+ * Builds the decoded structure plotted by meteoStation() (the pymetdecoder object shape, see synop_decoder.js) from an observation given as plain values,
+ * for the observations that are not reported in TAC: BUFR messages (bufr_decoder.js) and pre-decoded GeoJSON properties (properties_decoder.js).
+ * Measured values are kept as observed (e.g. visibility and cloud base in metres), with the code figure of their SYNOP group in "_code" for the cells that plot it.
+ */
+
+import { codeFigure, precipitationIndicator, weatherIndicator, weather, timeBeforeObs, cloudTypes, shipDisplacement } from './synop_decoder';
+import { directionDegrees, visibility, cloudCover, lowestCloudBase, visibilityCode, cloudBaseCode } from './synop_decoder';
+
+export { decodeObservation, OBSERVATION_ELEMENTS };
+
+// elements of an observation, all of them optional (null or undefined if not observed)
+const OBSERVATION_ELEMENTS = [
+    "stationId",                // IIiii, or any other identifier (e.g. ICAO location indicators of AWS networks)
+    "callsign",                 // of a mobile land station (SYNOP MOBIL), or of a sea station, with the position below
+    "sea",                      // boolean, true for sea stations (ships, buoys, platforms): plotted as SHIP
+    "latitude", "longitude",    // degrees
+    "elevation",                // metres
+    "day", "hour", "minute",    // time of observation (UTC)
+    "automatic",                // boolean, true for automatic stations
+    "windUnit",                 // "m/s" or "KT" (default)
+    "windDirection",            // degrees, 0 for calm
+    "windSpeed",                // in windUnit
+    "gusts",                    // [{speed (in windUnit), period (minutes, 10 if not given), direction (degrees)}]
+    "airTemperature", "dewpointTemperature", "maximumTemperature", "minimumTemperature", "groundMinimumTemperature",     // °C
+    "relativeHumidity",         // %
+    "stationPressure", "seaLevelPressure",                  // hPa
+    "pressureChange",           // hPa, over the past 3 hours
+    "pressureTendency",         // characteristic a, code table 0200
+    "visibility",               // metres
+    "cloudBase",                // height of the base of the lowest cloud, metres
+    "cloudCover",               // N, oktas (9 for sky obscured)
+    "lowCloudAmount",           // Nh, oktas
+    "lowClouds", "mediumClouds", "highClouds",              // CL, CM, CH, code tables 0513, 0515, 0509
+    "presentWeather",           // ww, code table 4677
+    "presentWeatherAutomatic",  // wawa, code table 4680
+    "supplementaryWeather",     // w1w1, code table 4687
+    "noSignificantWeather",     // boolean, no significant phenomenon to report
+    "pastWeather1", "pastWeather2",                         // W1, W2, code table 4561 (4531 for automatic stations)
+    "precipitation",            // {amount (mm, negative for a trace), period (hours)}, section 1
+    "precipitationSection3",    // {amount, period}, section 3
+    "precipitation24h",         // mm, negative for a trace
+    "groundState",              // E, code table 0901
+    "groundStateSnow",          // E', code table 0975
+    "snowDepth",                // cm, or code figure 997, 998 or 999 of code table 3889
+    "seaSurfaceTemperature",    // °C
+    "wavePeriod", "waveHeight",                             // instrumentally measured waves: seconds, metres
+    "windWavePeriod", "windWaveHeight",                     // estimated wind waves: seconds, metres
+    "swells",                   // [{direction (degrees), period (seconds), height (metres)}], up to two swell systems
+    "shipDirection", "shipSpeed"                            // movement of the ship: direction (degrees) and speed (m/s)
+];
+
+// duration of the precipitation period in hours to code figure tR, code table 4019
+const CODE_TABLE_4019 = {6: 1, 12: 2, 18: 3, 24: 4, 1: 5, 2: 6, 3: 7, 9: 8, 15: 9};
+
+// upper limits of the ship's speed (kt) of code figures vs 0-8, code table 4451 (9 is more than 40 kt)
+const CODE_TABLE_4451_KT = [0, 5, 10, 15, 20, 25, 30, 35, 40];
+
+var isValue = (value => value != null && value !== "" && !Number.isNaN(value));
+
+// one-figure code figure, as in its SYNOP group, or a solidus if missing
+function figure(value) {
+    return (isValue(value) && value >= 0 && value <= 9 ? String(Math.round(value)) : "/");
+}
+
+// temperatures and pressures are kept in tenths, as reported in SYNOP
+function tenths(value) {
+    return Number(value.toFixed(1));
+}
+
+// direction in degrees, with code figure dd of code table 0877 (0 is calm, north is 36)
+function direction(degrees) {
+    var dd = directionDegrees(String(degrees == 0 ? 0 : (Math.round(degrees / 10) || 36)).padStart(2, "0"));
+    if (!dd.calm) dd.value = degrees;
+    return dd;
+}
+
+// default period covered by the present weather, regulations 12.2.6.6.1 and 12.2.6.7.1
+function defaultTimeBefore(hour) {
+    return ([0, 6, 12, 18].includes(hour) ? {value: 6, unit: "h"} : ([3, 9, 15, 21].includes(hour) ? {value: 3, unit: "h"} : {value: 1, unit: "h"}));
+}
+
+// {amount (mm, negative for a trace), period (hours)}, with code figures RRR (code table 3590) and tR (code table 4019)
+function precipitation(observed) {
+    var trace = observed.amount < 0;
+    var amount10 = Math.round(observed.amount * 10);
+    var RRR = (trace ? 990 : (amount10 == 0 ? 0 : (amount10 < 10 ? 990 + amount10 : Math.min(Math.round(observed.amount), 989))));
+    var period = (isValue(observed.period) && observed.period != 0 ? Math.abs(observed.period) : null);
+    var tR = (period != null ? CODE_TABLE_4019[period] : null);
+    return {
+        amount: {_table: "3590", value: (trace ? 0 : observed.amount), quantifier: null, trace: trace, _code: RRR, unit: "mm"},
+        time_before_obs: (tR != null ? timeBeforeObs(String(tR)) : (period != null ? {value: period, unit: "h"} : null))   // no code figure tR to plot
+    };
+}
+
+// total snow depth (cm, or code figure 997, 998 or 999) with code figure sss, code table 3889
+function snowDepth(cm) {
+    if (!isValue(cm) || cm == 0) return null;
+    var code = (cm >= 997 ? Math.round(cm) : (cm < 0.5 ? 997 : Math.min(Math.round(cm), 996)));
+    var depth = {_table: "3889", depth: null, quantifier: null, continuous: true, impossible: false, _code: code, unit: "cm"};
+    if (code == 997) { depth.depth = 0.5; depth.quantifier = "isLess"; }
+    else if (code == 998) depth.continuous = false;
+    else if (code == 999) depth.impossible = true;
+    else depth.depth = cm;
+    return depth;
+}
+
+// wind waves of groups 1PwaPwaHwaHwa with 70HwaHwaHwa (instrumental, height to a tenth of a metre) or 2PwPwHwHw (estimated)
+function windWaves(period, height, instrumental) {
+    return {
+        period: (isValue(period) ? {value: period, unit: "s"} : null),
+        height: (isValue(height) ? {value: height, unit: "m"} : null),
+        instrumental: instrumental,
+        accurate: instrumental && isValue(height),
+        confused: false
+    };
+}
+
+// movement of the ship, as group 222Dsvs (code tables 0700 and 4451), null for a stationary sea station
+function displacement(degrees, speed) {
+    var kt = (isValue(speed) ? Math.round(speed * 3600 / 1852) : null);
+    var vs = (kt == null ? "/" : CODE_TABLE_4451_KT.findIndex(limit => kt <= limit));
+    var Ds = (kt == 0 ? 0 : (isValue(degrees) ? (Math.round(degrees / 45) + 7) % 8 + 1 : 9));    // 0 is hove to, 9 unknown
+    return shipDisplacement("222" + Ds + (vs == -1 ? 9 : vs));
+}
+
+// builds the decoded structure of an observation (see OBSERVATION_ELEMENTS): land stations are plotted as SYNOP (AAXX), mobile land stations as SYNOP MOBIL (OOXX),
+// sea stations as SHIP (BBXX). The weather indicator ix follows from the type of station and the weather reported, as in SYNOP.
+function decodeObservation(observation) {
+    var obs = observation;
+    var has = (element => isValue(obs[element]));
+    var automatic = (obs.automatic === true);
+    var windUnit = (obs.windUnit == "m/s" ? "m/s" : "KT");
+    var celsius = (value => ({value: tenths(value), unit: "Cel"}));
+    var hectopascal = (value => ({value: tenths(value), unit: "hPa"}));
+    var data = {};
+
+    // SECTION 0
+    var stationType = (has("callsign") ? (obs.sea === true ? "BBXX" : "OOXX") : "AAXX");
+    data.station_type = {value: stationType};
+    if (stationType == "AAXX") {
+        if (has("stationId")) {
+            data.station_id = {value: (typeof obs.stationId == "number" && Number.isInteger(obs.stationId) ? String(obs.stationId).padStart(5, "0") : String(obs.stationId).trim())};
+        }
+    } else {
+        data.callsign = {value: String(obs.callsign).replace(/\s+/g, "").toUpperCase()};
+        if (has("latitude") && has("longitude")) {
+            data.station_position = {latitude: obs.latitude, longitude: obs.longitude};
+            if (stationType == "OOXX") data.station_position.elevation = (has("elevation") ? {value: obs.elevation, unit: "m"} : null);
+        }
+    }
+    data.obs_time = {day: (has("day") ? {value: obs.day} : null), hour: (has("hour") ? {value: obs.hour} : null)};
+    data.wind_indicator = {value: (windUnit == "m/s" ? 1 : 4), unit: windUnit, estimated: false};
+
+    // SECTION 1
+    var s1 = (obs.precipitation != null && isValue(obs.precipitation.amount) ? obs.precipitation : null);
+    var s3 = (obs.precipitationSection3 != null && isValue(obs.precipitationSection3.amount) ? obs.precipitationSection3 : null);
+    var reported = [s1, s3].filter(p => p != null);
+    var iR = (reported.length == 0 ? null : (reported.every(p => p.amount == 0) ? 3 : (s1 && s3 ? 0 : (s1 ? 1 : 2))));    // 3: no precipitation
+    data.precipitation_indicator = (iR != null ? precipitationIndicator(String(iR)) : null);
+
+    var ww = null, ix;
+    if (has("presentWeatherAutomatic")) {
+        ww = obs.presentWeatherAutomatic;
+        ix = 7;
+    } else if (has("presentWeather") || has("supplementaryWeather")) {
+        ww = (has("presentWeather") ? obs.presentWeather : null);
+        ix = (automatic ? 4 : 1);
+    } else if (obs.noSignificantWeather === true) {
+        ix = (automatic ? 5 : 2);
+    } else {
+        ix = (automatic ? 6 : 3);
+    }
+    data.weather_indicator = weatherIndicator(String(ix));
+    data.lowest_cloud_base = (has("cloudBase") ? Object.assign(lowestCloudBase(String(cloudBaseCode(obs.cloudBase))), {value: obs.cloudBase}) : null);
+    data.visibility = (has("visibility") ? Object.assign(visibility(String(visibilityCode(obs.visibility)).padStart(2, "0")), {value: obs.visibility, quantifier: null}) : null);
+    data.cloud_cover = cloudCover(figure(obs.cloudCover));
+
+    data.surface_wind = null;
+    if (has("windDirection") || has("windSpeed")) {
+        var calm = (has("windSpeed") ? obs.windSpeed == 0 : obs.windDirection == 0);
+        data.surface_wind = {
+            direction: (has("windDirection") || calm ? direction(calm ? 0 : obs.windDirection) : null),
+            speed: (has("windSpeed") ? {value: obs.windSpeed, unit: windUnit} : null)
+        };
+    }
+
+    if (has("airTemperature")) data.air_temperature = celsius(obs.airTemperature);
+    if (has("dewpointTemperature")) data.dewpoint_temperature = celsius(obs.dewpointTemperature);
+    if (has("relativeHumidity")) data.relative_humidity = {value: Math.round(obs.relativeHumidity), unit: "%"};
+    if (has("stationPressure")) data.station_pressure = hectopascal(obs.stationPressure);
+    if (has("seaLevelPressure")) data.sea_level_pressure = hectopascal(obs.seaLevelPressure);
+    if (has("pressureTendency") || has("pressureChange")) {
+        var tendency = (has("pressureTendency") ? codeFigure(figure(obs.pressureTendency), "0200", 8) : null);
+        var change = (has("pressureChange") ? obs.pressureChange : null);
+        if (change != null && tendency != null) {
+            change = Math.abs(change) * (tendency.value < 5 ? 1 : -1);    // the sign follows the characteristic, as in group 5appp
+        }
+        data.pressure_tendency = {tendency: tendency, change: (change != null ? hectopascal(change) : null)};
+    }
+    if (data.precipitation_indicator != null && data.precipitation_indicator.in_group_1) data.precipitation_s1 = precipitation(s1);
+
+    var timeBefore = (has("hour") ? defaultTimeBefore(obs.hour) : null);
+    if (ww != null) data.present_weather = weather(String(ww), "present", ix, timeBefore);
+    if (has("pastWeather1") || has("pastWeather2")) {
+        data.past_weather = [obs.pastWeather1, obs.pastWeather2].map(W => (isValue(W) ? weather(String(W), "past", ix) : null));
+    }
+    var clouds = [obs.lowCloudAmount, obs.lowClouds, obs.mediumClouds, obs.highClouds].map(figure).join("");
+    if (clouds != "////") data.cloud_types = cloudTypes("8" + clouds);
+    if (has("minute") && obs.minute != 0) {
+        data.exact_obs_time = {hour: data.obs_time.hour, minute: {value: obs.minute}};
+    }
+
+    // SECTION 2
+    if (has("shipDirection") || has("shipSpeed")) {
+        var movement = displacement(obs.shipDirection, obs.shipSpeed);
+        if (movement != null) data.displacement = movement;
+    }
+    if (has("seaSurfaceTemperature")) data.sea_surface_temperature = Object.assign(celsius(obs.seaSurfaceTemperature), {measurement_type: null});
+    var waves = [];
+    if (has("wavePeriod") || has("waveHeight")) waves.push(windWaves(obs.wavePeriod, obs.waveHeight, true));
+    if (has("windWavePeriod") || has("windWaveHeight")) waves.push(windWaves(obs.windWavePeriod, obs.windWaveHeight, false));
+    if (waves.length > 0) data.wind_waves = waves;
+    var swells = (obs.swells || []).filter(swell => swell != null && (isValue(swell.direction) || isValue(swell.period) || isValue(swell.height))).slice(0, 2);
+    if (swells.length > 0) {
+        data.swell_waves = swells.map(swell => ({
+            direction: (isValue(swell.direction) ? direction(swell.direction) : null),
+            period: (isValue(swell.period) ? {value: swell.period, unit: "s"} : null),
+            height: (isValue(swell.height) ? {value: swell.height, unit: "m"} : null)
+        }));
+    }
+
+    // SECTION 3
+    if (has("groundMinimumTemperature")) data.ground_minimum_temperature = celsius(obs.groundMinimumTemperature);
+    if (has("maximumTemperature")) data.maximum_temperature = celsius(obs.maximumTemperature);
+    if (has("minimumTemperature")) data.minimum_temperature = celsius(obs.minimumTemperature);
+    if (has("groundState")) data.ground_state = {state: codeFigure(figure(obs.groundState), "0901"), temperature: null};
+    if (has("groundStateSnow") || has("snowDepth")) {
+        data.ground_state_snow = {state: codeFigure(figure(obs.groundStateSnow), "0975"), depth: snowDepth(obs.snowDepth)};
+    }
+    if (data.precipitation_indicator != null && data.precipitation_indicator.in_group_3) data.precipitation_s3 = precipitation(s3);
+    if (has("precipitation24h")) data.precipitation_24h = precipitation({amount: obs.precipitation24h, period: 24});
+    var gusts = (obs.gusts || []).filter(gust => gust != null && isValue(gust.speed));
+    if (gusts.length > 0) {
+        data.highest_gust = gusts.map((gust) => {
+            var period = (isValue(gust.period) ? Math.abs(gust.period) : 10);
+            var entry = {
+                speed: {value: Math.round(gust.speed), unit: windUnit},     // fxfx is plotted in whole units
+                direction: (isValue(gust.direction) ? direction(gust.direction) : null)
+            };
+            if (period == 10) {
+                entry.measure_period = {value: 10, unit: "min"};
+            } else {
+                entry.time_before_obs = {value: period, unit: "min"};
+            }
+            return entry;
+        });
+    }
+    if (has("supplementaryWeather")) {
+        // 961w1w1, told apart from 960ww by its code table
+        data.present_weather_additional = [{value: Math.round(obs.supplementaryWeather), _table: "4687", time_before_obs: timeBefore}];
+    }
+
+    return data;
+}
@@ -0,0 +1,61 @@
+/**
+ * station-model-symbology: properties_decoder.js
+ *
+ * Reads pre-decoded observations from GeoJSON properties, as named by option "propertyFields", into the decoded SYNOP structure plotted by meteoStation().
+ * Runs in the main thread, without the web worker: the observation is built into the decoded structure directly (observation_decoder.js), the values are kept as given.
+ */
+
+import { decodeObservation, OBSERVATION_ELEMENTS } from './observation_decoder';
+
+export { decodeProperties };
+
+// elements that can be mapped: those of the observation with a single value, the time of observation and the flattened precipitation, gust and swells
+const MAPPED_ELEMENTS = OBSERVATION_ELEMENTS.filter(element => !["gusts", "precipitation", "precipitationSection3", "swells"].includes(element)).concat([
+    "time",                     // time of observation, ISO 8601 string or milliseconds since epoch (instead of day, hour and minute)
+    "precipitation",            // mm, negative for a trace (section 1)
+    "precipitationPeriod",      // hours
+    "gust", "gustPeriod", "gustDirection",  // highest gust (in windUnit), its period (minutes, 10 if not given) and direction (degrees)
+    "swellDirection", "swellPeriod", "swellHeight",         // first swell system: degrees, seconds, metres
+    "swell2Direction", "swell2Period", "swell2Height"       // second swell system
+]);
+
+// observation elements that are strings or booleans, all others are numbers
+const TEXT_ELEMENTS = ["stationId", "callsign", "windUnit"];
+const BOOLEAN_ELEMENTS = ["automatic", "noSignificantWeather", "sea"];
+
+// value of one mapped element: the mapping is a property name, or a function of the properties (for constants and unit conversions)
+function propertyValue(properties, mapping, element) {
+    var value = (typeof mapping == "function" ? mapping(properties) : properties[mapping]);
+    if (value == null || value === "") return null;
+    if (TEXT_ELEMENTS.includes(element) || element == "time") return value;
+    if (BOOLEAN_ELEMENTS.includes(element)) return (value === true || value === 1 || String(value).toLowerCase() == "true");
+    var number = Number(value);
+    return (Number.isNaN(number) ? null : number);
+}
+
+// decodes the properties of one feature, by the mapping of option "propertyFields" ({element: property name or function})
+// returns the decoded SYNOP structure
+function decodeProperties(properties, propertyFields) {
+    var values = {};
+    Object.entries(propertyFields || {}).forEach(([element, mapping]) => {
+        if (!MAPPED_ELEMENTS.includes(element)) {
+            console.warn(`propertyFields: unknown element "${element}" is ignored`);
+            return;
+        }
+        values[element] = propertyValue(properties, mapping, element);
+    });
+
+    var observation = Object.assign({}, values);
+    if (values.time != null) {
+        var time = new Date(values.time);
+        if (Number.isNaN(time.getTime())) throw new Error(`Invalid time of observation: ${values.time}`);
+        observation.day = time.getUTCDate();
+        observation.hour = time.getUTCHours();
+        observation.minute = time.getUTCMinutes();
+    }
+    observation.precipitation = (values.precipitation != null ? {amount: values.precipitation, period: values.precipitationPeriod} : null);
+    observation.gusts = (values.gust != null ? [{speed: values.gust, period: values.gustPeriod, direction: values.gustDirection}] : []);
+    observation.swells = ["swell", "swell2"].map(swell => ({direction: values[swell + "Direction"], period: values[swell + "Period"], height: values[swell + "Height"]}));
+
+    return decodeObservation(observation);
+}
@@ -0,0 +1,59 @@
+/**
+ * station-model-symbology: report_decoder.js
+ *
+ * Decodes one report of any supported type (SYNOP, BUFR, METAR/SPECI) into the decoded structure plotted by meteoStation(),
+ * or into the diagnostic of why it could not be decoded. Run by the decoder workers (main_worker.js), and in-process by the Node.js renderer (node.js).
+ */
+
+import { decodeSynopReport } from './synop_decoder';
+import { decodeMetarReport } from './metar_decoder';
+import { decodeBufrSubset } from './bufr_decoder';
+
+export { decodeReport };
+
+// structured diagnostic of a report that could not be decoded: type of report, the report, the offending group (and its index among the groups of the report), the message.
+// Fatal, unlike the diagnostics of the groups skipped by the JavaScript SYNOP decoder ("diagnostics" of the decoded report).
+// errors of pymetdecoder only have a message, the group is taken from it ("XXXXX is an invalid ... group")
+function decodeDiagnostic(error, type, raw) {
+    var message = String(error && error.message != null ? error.message : error).trim().split("\n").pop().replace(/^[\w.]*(DecodeError|Error): /, "");
+    var group = (error != null && error.group != null ? error.group : null);
+    var groupIndex = (error != null && error.groupIndex != null ? error.groupIndex : null);
+    if (group == null) {
+        var match = /^'?(\S+?)'? is (an )?(invalid|not)/.exec(message);
+        group = (match != null ? match[1] : null);
+    }
+    if (group != null && groupIndex == null && typeof raw == "string") {
+        var index = raw.replace(/=+\s*$/, "").trim().split(/\s+/).indexOf(group);
+        groupIndex = (index != -1 ? index : null);
+    }
+    return {type: type, report: (typeof raw == "string" ? raw : null), message: message, group: group, groupIndex: groupIndex, fatal: true};
+}
+
+// decodes one report ({SYNOP_raw, BUFR_raw, METAR_raw}, one of them given, and BUFR_subset: the station of a BUFR message, default the first), returns {decoded} or, if it can not be decoded, {decoded: null, error} with a diagnostic
+// SYNOP reports are decoded by decodeSynop: pymetdecoder in the worker (option decoder: "pyodide", the default), otherwise the pure JavaScript decoder. METAR/SPECI and BUFR are always decoded in pure JavaScript.
+function decodeReport(report, decodeSynop = decodeSynopReport) {
+    var type = (report.METAR_raw != null ? "METAR" : (report.BUFR_raw != null ? "BUFR" : "SYNOP"));
+    var raw = (report.METAR_raw != null ? report.METAR_raw : report.SYNOP_raw);
+    try {
+        if (report.BUFR_raw != null) {
+            // BUFR message (ArrayBuffer or base64 string): the subset is built into the decoded structure directly, there is no report string
+            return {decoded: decodeBufrSubset(report.BUFR_raw, report.BUFR_subset || 0)};
+        }
+        if (raw == null) {
+            // attrib SYNOP_raw (and BUFR_raw, METAR_raw) is null in feature attributes, dont process
+            return {decoded: null};
+        }
+        var parsed;
+        if (report.METAR_raw != null) {
+            parsed = decodeMetarReport(raw);    // pure JavaScript decoder, always for METAR
+        } else {
+            parsed = decodeSynop(raw);
+        }
+        parsed['_raw'] = raw; // include raw encoded report string for debug purposes
+        return {decoded: parsed};
+    } catch (error) {
+        var diagnostic = decodeDiagnostic(error, type, raw);
+        console.error(`${type} could not be decoded: ${diagnostic.report != null ? diagnostic.report : '(binary message)'}`, diagnostic);
+        return {decoded: null, error: diagnostic};
+    }
+}
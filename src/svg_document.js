@@ -0,0 +1,147 @@
+/**
+ * station-model-symbology: svg_document.js
+ *
+ * Minimal SVG document for rendering without a browser (see node.js): elements with the part of the DOM API used by meteoStation()
+ * (createElementNS, importNode, setAttribute, appendChild, textContent), a parser for the WMO symbol files and serialisation to a string.
+ */
+
+export { svgDocument, parseSvg };
+
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+
+function escapeXml(text, quotes) {
+    var escaped = String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+    return (quotes ? escaped.replace(/"/g, "&quot;") : escaped);
+}
+
+// text content: "raw" text is taken from a parsed file, and is already escaped
+class SvgText {
+    constructor(text, raw = false) {
+        this.text = text;
+        this.raw = raw;
+    }
+
+    cloneNode() {
+        return new SvgText(this.text, this.raw);
+    }
+
+    get textContent() {
+        return (this.raw ? this.text.replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, "&") : this.text);
+    }
+
+    toString() {
+        return (this.raw ? this.text : escapeXml(this.text, false));
+    }
+}
+
+class SvgElement {
+    constructor(tagName) {
+        this.tagName = tagName;
+        this.attributes = new Map();
+        this.childNodes = [];
+    }
+
+    setAttribute(name, value) {
+        this.attributes.set(name, String(value));
+    }
+
+    getAttribute(name) {
+        return (this.attributes.has(name) ? this.attributes.get(name) : null);
+    }
+
+    removeAttribute(name) {
+        this.attributes.delete(name);
+    }
+
+    appendChild(child) {
+        this.childNodes.push(child);
+        return child;
+    }
+
+    cloneNode(deep) {
+        var clone = new SvgElement(this.tagName);
+        this.attributes.forEach((value, name) => clone.attributes.set(name, value));
+        if (deep) {
+            clone.childNodes = this.childNodes.map(child => child.cloneNode(true));
+        }
+        return clone;
+    }
+
+    get textContent() {
+        return this.childNodes.map(child => child.textContent).join("");
+    }
+
+    set textContent(text) {
+        this.childNodes = [new SvgText(text)];
+    }
+
+    // only plain text is set as innerHTML by meteoStation()
+    set innerHTML(text) {
+        this.textContent = text;
+    }
+
+    get outerHTML() {
+        return this.toString();
+    }
+
+    toString() {
+        var attributes = "";
+        this.attributes.forEach((value, name) => attributes += ` ${name}="${escapeXml(value, true)}"`);
+        var content = this.childNodes.join("");
+        return (content == "" ? `<${this.tagName}${attributes}/>` : `<${this.tagName}${attributes}>${content}</${this.tagName}>`);
+    }
+}
+
+// stands in for the browser's document, for the SVG elements of the station models
+const svgDocument = {
+    createElementNS(namespace, tagName) {
+        var element = new SvgElement(tagName);
+        if (tagName == "svg") {
+            element.setAttribute("xmlns", SVG_NAMESPACE);   // the root element of a standalone SVG file
+        }
+        return element;
+    },
+    importNode(node, deep) {
+        return node.cloneNode(deep);
+    }
+};
+
+// parses the source of an SVG file (e.g. a WMO symbol) into its root element
+// the XML declaration, comments, the doctype and processing instructions are dropped, namespace prefixes are kept as they are ("svg:g")
+function parseSvg(source) {
+    var root = null;
+    var open = [];
+    var pattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<\?[\s\S]*?\?>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+    var match;
+    while ((match = pattern.exec(source)) != null) {
+        var parent = open[open.length - 1];
+        if (match[1] != null) {
+            if (parent != null) parent.appendChild(new SvgText(match[1]));
+        } else if (match[2] != null) {
+            var closed = open.pop();
+            if (closed == null || closed.tagName != match[2]) {
+                throw new Error(`Invalid SVG: unexpected closing tag </${match[2]}>`);
+            }
+        } else if (match[3] != null) {
+            var element = new SvgElement(match[3]);
+            var attributePattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+            var attribute;
+            while ((attribute = attributePattern.exec(match[4])) != null) {
+                // attribute values are kept unescaped, as set by setAttribute()
+                element.setAttribute(attribute[1], new SvgText(attribute[2] != null ? attribute[2] : attribute[3], true).textContent);
+            }
+            if (parent != null) {
+                parent.appendChild(element);
+            } else if (root == null) {
+                root = element;
+            }
+            if (match[5] != "/") open.push(element);
+        } else if (match[6] != null && parent != null) {
+            parent.appendChild(new SvgText(match[6], true));
+        }
+    }
+    if (root == null || open.length > 0) {
+        throw new Error("Invalid SVG: no root element, or unclosed elements");
+    }
+    return root;
+}
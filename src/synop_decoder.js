@@ -0,0 +1,641 @@
+/**
+ * station-model-symbology: synop_decoder.js
+ *
+ * Decodes SYNOP (FM 12), SHIP (FM 13) and SYNOP MOBIL (FM 14) reports in pure JavaScript, as an alternative to pymetdecoder within Pyodide (see main_worker.js).
+ * Outputs the same object shape as pymetdecoder, so meteoStation() in main.js can use either decoder backend.
+ * Only the groups that are plotted on the station model (or needed to decode those) are decoded.
+ */
+
+export { decodeSynopReport, reportPosition, DecodeError };
+export { directionDegrees, visibility, cloudCover, lowestCloudBase, visibilityCode, cloudBaseCode };  // code table helpers, shared with metar_decoder.js and observation_decoder.js
+export { codeFigure, precipitationIndicator, weatherIndicator, weather, timeBeforeObs, cloudTypes, shipDisplacement };
+
+// the ten WMO regions and the Antarctic, by WMO block and station number (IIiii), Manual on Codes, section D
+const REGIONS = {
+    "I": [[60000, 69998]],
+    "II": [[20000, 20099], [20200, 21998], [23001, 25998], [28001, 32998], [35001, 36998], [38001, 39998], [40350, 48599], [48800, 49998], [50001, 59998]],
+    "III": [[80001, 88998]],
+    "IV": [[70001, 79998]],
+    "V": [[48600, 48799], [90001, 98998]],
+    "VI": [[1, 19998], [20100, 20199], [22001, 22998], [26001, 27998], [33001, 34998], [37001, 37998], [40001, 40349]],
+    "Antarctic": [[89001, 89998]]
+};
+
+// ranges of code tables given as intervals
+// WMO Regional Association of buoys and platforms, from the first figure of their identifier A1bwnbnbnb, code table 0161
+const REGIONS_0161 = [null, "I", "II", "III", "IV", "V", "VI", "Antarctic"];
+
+const CODE_TABLE_1600 = [[0, 50], [50, 100], [100, 200], [200, 300], [300, 600], [600, 1000], [1000, 1500], [1500, 2000], [2000, 2500], [2500, null]];  // base of the lowest cloud (m)
+const CODE_TABLE_4019 = [null, 6, 12, 18, 24, 1, 2, 3, 9, 15];                                                                                          // duration of the precipitation period (h)
+const CODE_TABLE_4077 = [[6, 7], [7, 8], [8, 9], [9, 10], [10, 11], [11, 12], [12, 18], [18, null]];                                                // time before observation, codes 61-68 (h)
+const CODE_TABLE_0700 = [null, "NE", "E", "SE", "S", "SW", "W", "NW", "N", null];                                                                        // direction in one figure
+const CODE_TABLE_3850 = ["Intake", "Bucket", "Hull contact sensor", "Other"];                                                                          // type of sea surface temperature measurement
+const CODE_TABLE_4451_KT = [[0, 0], [1, 5], [6, 10], [11, 15], [16, 20], [21, 25], [26, 30], [31, 35], [36, 40]];                                      // ship's speed (kt)
+const CODE_TABLE_4451_KMH = [[0, 0], [1, 10], [11, 19], [20, 28], [29, 37], [38, 47], [48, 56], [57, 65], [66, 75]];                                   // ship's speed (km/h)
+
+// a value is missing if it is empty or consists of solidi only
+function isMissing(raw) {
+    return raw == null || raw.length == 0 || /^\/+$/.test(raw);
+}
+
+// integer of a code figure, null if it is not a number
+function toInt(raw) {
+    return (/^\d+$/.test(raw) ? parseInt(raw, 10) : null);
+}
+
+// simple code table entry, e.g. {_table: "0513", value: 5}
+function codeFigure(raw, table, max = 9) {
+    var code = toInt(raw);
+    if (code == null || code > max) return null;
+    return {_table: table, value: code};
+}
+
+// TTT with sign sn (0 positive, 1 negative), in tenths of a degree
+function signedTemperature(TTT, sn) {
+    var value = toInt(TTT);
+    if (value == null || (sn != "0" && sn != "1")) return null;
+    return {value: (sn == "0" ? value / 10 : -value / 10), unit: "Cel"};
+}
+
+// groups 1snTTT, 2snTdTdTd, 1snTxTxTx, 2snTnTnTn
+function temperature(group) {
+    var TTT = group.slice(2, 5);
+    if (TTT != "///") TTT = TTT.replace(/\/$/, "0");    // the last figure is sometimes reported as a solidus
+    return signedTemperature(TTT, group[1]);
+}
+
+// PPPP or P0P0P0P0, in tenths of a hPa with the thousands digit omitted
+function pressure(PPPP) {
+    var value = toInt(PPPP);
+    if (value == null) return null;
+    return {value: value / 10 + (value > 5000 ? 0 : 1000), unit: "hPa"};
+}
+
+// dd or dwdw, code table 0877
+function directionDegrees(dd) {
+    var code = toInt(dd);
+    if (code == null || (code > 36 && code != 99)) return null;
+    return {_table: "0877", value: (code >= 1 && code <= 36 ? code * 10 : null), varAllUnknown: code == 99, calm: code == 0, _code: code, unit: "deg"};
+}
+
+// D, code table 0700
+function directionCardinal(D) {
+    var code = toInt(D);
+    if (code == null) return null;
+    return {_table: "0700", value: CODE_TABLE_0700[code], isCalmOrStationary: code == 0, allDirections: code == 9, _code: code};
+}
+
+// iRixhVV
+function precipitationIndicator(iR) {
+    var value = toInt(iR);
+    if (value == null) return null;
+    return {value: value, in_group_1: value == 0 || value == 1, in_group_3: value == 0 || value == 2};
+}
+
+function weatherIndicator(ix) {
+    var value = toInt(ix);
+    if (value == null || value < 1 || value > 7) return null;
+    return {value: value, automatic: value >= 4};   // ix = 3 is a manned station (code table 1860)
+}
+
+function lowestCloudBase(h) {
+    var code = toInt(h);
+    if (code == null) return null;
+    var range = CODE_TABLE_1600[code];
+    return {_table: "1600", min: range[0], max: range[1], quantifier: (range[1] == null ? "isGreaterOrEqual" : null), _code: code, unit: "m"};
+}
+
+// horizontal visibility in metres to code figure VV, code table 4377
+function visibilityCode(metres) {
+    if (metres < 100) return 0;
+    if (metres <= 5000) return Math.floor(metres / 100);
+    if (metres < 6000) return 50;
+    if (metres <= 30000) return 50 + Math.floor(metres / 1000);
+    if (metres <= 70000) return 74 + Math.floor(metres / 5000);
+    return 89;
+}
+
+// height of the base of a cloud in metres to code figure h, code table 1600
+function cloudBaseCode(metres) {
+    var limits = [50, 100, 200, 300, 600, 1000, 1500, 2000, 2500];
+    var code = limits.findIndex(limit => metres < limit);
+    return (code == -1 ? 9 : code);
+}
+
+// VV, code table 4377
+function visibility(VV) {
+    var code = toInt(VV);
+    if (code == null || (code >= 51 && code <= 55)) return null;
+    var value, quantifier = null;
+    if (code == 0) { value = 100; quantifier = "isLess"; }
+    else if (code <= 50) value = code * 100;
+    else if (code <= 80) value = (code - 50) * 1000;
+    else if (code <= 88) value = (code - 74) * 5000;
+    else if (code == 89) { value = 70000; quantifier = "isGreater"; }
+    else if (code == 90) { value = 50; quantifier = "isLess"; }
+    else if (code == 99) { value = 50000; quantifier = "isGreaterOrEqual"; }
+    else value = [50, 200, 500, 1000, 2000, 4000, 10000, 20000][code - 91];
+    return {_table: "4377", value: value, quantifier: quantifier, use90: code >= 90, _code: code, unit: "m"};
+}
+
+// N, code table 2700
+function cloudCover(N) {
+    var code = toInt(N);
+    if (code == null) return null;
+    return {_table: "2700", value: (code == 9 ? null : code), obscured: code == 9, unit: "okta", _code: code};
+}
+
+// RRR and tR of groups 6RRRtR, code tables 3590 and 4019
+function precipitation(group) {
+    var RRR = toInt(group.slice(1, 4));
+    var amount = null;
+    if (RRR != null) {
+        amount = {_table: "3590", value: RRR, quantifier: null, trace: false, _code: RRR, unit: "mm"};
+        if (RRR == 989) amount.quantifier = "isGreaterOrEqual";
+        else if (RRR == 990) { amount.value = 0; amount.trace = true; }
+        else if (RRR > 990) amount.value = (RRR - 990) / 10;
+    }
+    return {amount: amount, time_before_obs: timeBeforeObs(group[4])};
+}
+
+// 7R24R24R24R24, in tenths of a mm
+function precipitation24h(group) {
+    var RRRR = toInt(group.slice(1, 5));
+    var amount = null;
+    if (RRRR != null) {
+        amount = {_table: "3590", value: Number((RRRR * 0.1).toFixed(1)), quantifier: null, trace: false, _code: RRRR, unit: "mm"};
+        if (RRRR == 9998) amount.quantifier = "isGreaterOrEqual";
+        else if (RRRR == 9999) { amount.value = 0; amount.trace = true; }
+    }
+    return {amount: amount, time_before_obs: timeBeforeObs("4")};
+}
+
+// tR, code table 4019
+function timeBeforeObs(tR) {
+    var code = toInt(tR);
+    if (code == null || code == 0) return null;
+    return {_table: "4019", value: CODE_TABLE_4019[code], unit: "h", _code: code};
+}
+
+// tt, code table 4077 (00-60 in units of 6 minutes, 61-68 ranges of hours)
+function timeBeforeObs4077(tt) {
+    var code = toInt(tt);
+    if (code == null || code > 68) return null;
+    if (code <= 60) return {_table: "4077", value: 6 * code, unit: "min", _code: code};
+    var range = CODE_TABLE_4077[code - 61];
+    return {_table: "4077", min: range[0], max: range[1], unit: "h", quantifier: (range[1] == null ? "isGreater" : null), _code: code};
+}
+
+// ww / W1 / W2 (manned: code tables 4677 and 4561, automatic: 4680 and 4531)
+function weather(raw, type, ix, timeBefore) {
+    var value = toInt(raw);
+    if (value == null) return null;
+    var automatic = [5, 6, 7].includes(ix);
+    var data = {value: value, _table: (type == "present" ? (automatic ? "4680" : "4677") : (automatic ? "4531" : "4561"))};
+    if (timeBefore != null) data.time_before_obs = timeBefore;
+    return data;
+}
+
+// 8NhCLCMCH
+function cloudTypes(group) {
+    var data = {
+        low_cloud_type: codeFigure(group[2], "0513"),
+        middle_cloud_type: codeFigure(group[3], "0515"),
+        high_cloud_type: codeFigure(group[4], "0509")
+    };
+    var Nh = toInt(group[1]);
+    if (Nh != null) {
+        // Nh is the amount of the low clouds if there are any, otherwise of the middle clouds
+        var cover = {value: Nh, unit: "okta"};
+        if (data.low_cloud_type != null && data.low_cloud_type.value >= 1) {
+            data.low_cloud_amount = cover;
+        } else if (data.middle_cloud_type != null) {
+            data.middle_cloud_amount = cover;
+        } else {
+            data.cloud_amount = cover;
+        }
+    }
+    return data;
+}
+
+// 3EsnTgTg (and 0EsnTgTg in region II), code table 0901, temperature in whole degrees
+function groundState(group) {
+    var sign = group[2];
+    var TgTg = toInt(group.slice(3, 5));
+    return {
+        state: codeFigure(group[1], "0901"),
+        temperature: ((sign == "0" || sign == "1") && TgTg != null ? {value: (sign == "0" ? TgTg : -TgTg), unit: "Cel"} : null)
+    };
+}
+
+// 4E'sss, code tables 0975 and 3889
+function groundStateSnow(group) {
+    var sss = toInt(group.slice(2, 5));
+    var depth = null;
+    if (sss != null && sss != 0) {
+        depth = {_table: "3889", depth: null, quantifier: null, continuous: true, impossible: false, _code: sss, unit: "cm"};
+        if (sss == 997) { depth.depth = 0.5; depth.quantifier = "isLess"; }
+        else if (sss == 998) depth.continuous = false;
+        else if (sss == 999) depth.impossible = true;
+        else depth.depth = sss;
+    }
+    return {state: codeFigure(group[1], "0975"), depth: depth};
+}
+
+// 0snTwTwTw, code table 3850 for the sign and the type of measurement
+function seaSurfaceTemperature(group) {
+    var ss = toInt(group[1]);
+    if (ss == null || ss > 7) return null;
+    var temp = signedTemperature(group.slice(2, 5), String(ss % 2)) || {value: null};
+    temp.measurement_type = {_table: "3850", value: CODE_TABLE_3850[ss >> 1], _code: ss};
+    return temp;
+}
+
+// 1PwaPwaHwaHwa (instrumental) or 2PwPwHwHw, height in half metres
+function windWaves(group, instrumental) {
+    var period = toInt(group.slice(1, 3));
+    var height = toInt(group.slice(3, 5));
+    return {
+        period: (period != null && period != 99 ? {value: period, unit: "s"} : null),
+        height: (height != null ? {value: height * 0.5, unit: "m"} : null),
+        instrumental: instrumental,
+        accurate: false,
+        confused: period == 99
+    };
+}
+
+// 3dw1dw1dw2dw2 with 4Pw1Pw1Hw1Hw1 or 5Pw2Pw2Hw2Hw2, height in half metres
+function swellWaves(directions, group) {
+    var dd = (directions != null ? (group[0] == "4" ? directions.slice(1, 3) : directions.slice(3, 5)) : null);
+    var period = toInt(group.slice(1, 3));
+    var height = toInt(group.slice(3, 5));
+    return {
+        direction: (dd != null ? directionDegrees(dd) : null),
+        period: (period != null ? {value: period, unit: "s"} : null),
+        height: (height != null ? {value: height * 0.5, unit: "m"} : null)
+    };
+}
+
+// 99LaLaLa QcLoLoLoLo (and MMMULaULo h0h0h0h0im for FM 14), latitude and longitude in tenths of a degree
+function stationPosition(groups) {
+    var lat = toInt(groups[0].slice(2, 5));
+    var Qc = groups[1][0];
+    var lon = toInt(groups[1].slice(1, 5));
+    if (!groups[0].startsWith("99") || !["1", "3", "5", "7"].includes(Qc) || lat == null || lon == null || lat > 900 || lon > 1800) return null;
+    var data = {
+        latitude: (Qc == "3" || Qc == "5" ? -lat : lat) / 10,
+        longitude: (Qc == "5" || Qc == "7" ? -lon : lon) / 10
+    };
+    if (groups.length == 4) {
+        var hhhh = toInt(groups[3].slice(0, 4));
+        var im = toInt(groups[3][4]);
+        data.marsden_square = toInt(groups[2].slice(0, 3));
+        data.elevation = (hhhh != null && im != null && im >= 1 ? {value: hhhh, unit: (im <= 4 ? "m" : "ft")} : null);
+        data.confidence = (im != null && im >= 1 ? ["Poor", "Excellent", "Good", "Fair"][im % 4] : null);
+    }
+    return data;
+}
+
+// [lon, lat] of a sea or mobile station, from section 0 of its SHIP (BBXX) or SYNOP MOBIL (OOXX) report
+// null for land stations (AAXX) and if the position is not reported
+function reportPosition(report) {
+    var groups = String(report).trim().split(/\s+/);
+    if (!["BBXX", "OOXX"].includes(groups[0]) || groups.length < 5) return null;
+    var position = stationPosition(groups.slice(3, 5));
+    return (position != null ? [position.longitude, position.latitude] : null);
+}
+
+// 222Dsvs, code tables 0700 and 4451
+function shipDisplacement(group) {
+    if (group[3] == "0" && group[4] == "0") return null;   // stationary sea station
+    var vs = toInt(group[4]);
+    var speed = null;
+    if (vs != null) {
+        var kt = (vs == 9 ? {min: 40, max: null, quantifier: "isGreater"} : {min: CODE_TABLE_4451_KT[vs][0], max: CODE_TABLE_4451_KT[vs][1], quantifier: null});
+        var kmh = (vs == 9 ? {min: 75, max: null, quantifier: "isGreater"} : {min: CODE_TABLE_4451_KMH[vs][0], max: CODE_TABLE_4451_KMH[vs][1], quantifier: null});
+        kt.unit = "KT";
+        kmh.unit = "km/h";
+        speed = {_table: "4451", value: [kt, kmh], _code: vs};
+    }
+    return {direction: directionCardinal(group[3]), speed: speed};
+}
+
+// error of a report that can not be decoded, with the offending group and its index among the groups of the report (null if not known, e.g. a missing group)
+class DecodeError extends Error {
+    constructor(message, group = null, groupIndex = null) {
+        super(message);
+        this.name = "DecodeError";
+        this.group = group;
+        this.groupIndex = groupIndex;
+    }
+}
+
+// a group of sections 1 to 3: five figures or solidi
+function isValidGroup(group) {
+    return /^[\d\/]{5}$/.test(group);
+}
+
+// decode one SYNOP report (FM 12) into the pymetdecoder object shape
+// throws a DecodeError if the report can not be decoded at all. Invalid groups of sections 1 to 3 are skipped, and listed in "diagnostics" (non-fatal).
+function decodeSynopReport(report) {
+    var groups = String(report).replace(/=+\s*$/, "").trim().split(/\s+/);
+    var i = 0;
+    var next = () => groups[i++];
+    var data = {};
+    var diagnostics = [];
+    // the group just read (by next()) is skipped: its diagnostic has the shape of those of report_decoder.js, but is not fatal, the report is plotted
+    var skip = (reason => diagnostics.push({type: "SYNOP", report: String(report), message: `${groups[i - 1]} ${reason}`, group: groups[i - 1], groupIndex: i - 1, fatal: false}));
+
+    // SECTION 0 - MiMiMjMj (D....D) YYGGiw IIiii (FM 12) or 99LaLaLa QcLoLoLoLo (FM 13) or 99LaLaLa QcLoLoLoLo MMMULaULo h0h0h0h0im (FM 14)
+    var MMMM = next();
+    if (!["AAXX", "BBXX", "OOXX"].includes(MMMM)) {
+        throw new DecodeError(`${MMMM} is not a supported report type (AAXX, BBXX or OOXX expected)`, MMMM, 0);
+    }
+    data.station_type = {value: MMMM};
+
+    if (MMMM != "AAXX") {
+        // call sign of the ship or mobile land station, or identifier A1bwnbnbnb of a buoy or platform
+        var callsign = next();
+        if (callsign == null || !/^[A-Za-z\d]{3,}$/.test(callsign)) throw new DecodeError(`${callsign} is an invalid call sign`, callsign, i - 1);
+        data.callsign = {value: callsign.toUpperCase()};
+        if (/^(1[1-7]|2[1-6]|3[1-4]|4[1-8]|5[1-6]|6[1-6]|7[1-4])\d{3}$/.test(callsign)) {
+            data.callsign.region = {_table: "0161", value: REGIONS_0161[Number(callsign[0])]};
+        }
+    }
+
+    var YYGGi = next();
+    if (YYGGi == null) throw new DecodeError('YYGGiw group is missing');
+    var day = toInt(YYGGi.slice(0, 2));
+    var hour = toInt(YYGGi.slice(2, 4));
+    data.obs_time = {day: (day != null && day >= 1 && day <= 31 ? {value: day} : null), hour: (hour != null && hour <= 24 ? {value: hour} : null)};
+    var iw = toInt(YYGGi[4]);
+    data.wind_indicator = ([0, 1, 3, 4].includes(iw) ? {value: iw, unit: (iw < 2 ? "m/s" : "KT"), estimated: iw == 0 || iw == 3} : null);
+
+    // default period covered by the present weather, regulations 12.2.6.6.1 and 12.2.6.7.1
+    var defTimeBefore = null;
+    if (hour != null) {
+        defTimeBefore = ([0, 6, 12, 18].includes(hour) ? {value: 6, unit: "h"} : ([3, 9, 15, 21].includes(hour) ? {value: 3, unit: "h"} : {value: 1, unit: "h"}));
+    }
+
+    if (MMMM == "AAXX") {
+        var IIiii = next();
+        if (IIiii == null || !/^\d{5}$/.test(IIiii)) throw new DecodeError(`${IIiii} is an invalid IIiii group`, IIiii, i - 1);
+        data.station_id = {value: IIiii};
+        data.region = null;
+        for (let [region, ranges] of Object.entries(REGIONS)) {
+            if (ranges.some(range => range[0] <= Number(IIiii) && Number(IIiii) <= range[1])) {
+                data.region = {value: region};
+            }
+        }
+    } else {
+        var positionGroups = [next(), next()];
+        if (MMMM == "OOXX") positionGroups.push(next(), next());
+        var invalidPosition = positionGroups.findIndex(g => g == null || g.length != 5);
+        if (invalidPosition != -1) throw new DecodeError('Position groups of section 0 are missing or invalid', positionGroups[invalidPosition], i - positionGroups.length + invalidPosition);
+        data.station_position = stationPosition(positionGroups);
+        // buoys and platforms are in the region of their identifier, ships have none (regional groups of section 3 do not apply)
+        data.region = (MMMM == "BBXX" ? {value: (data.callsign.region != null ? data.callsign.region.value : "SHIP")} : null);
+    }
+
+    var group = next();
+    if (group == null || group == "NIL") return data;
+
+    // SECTION 1 - iRixhVV Nddff (00fff) 1snTTT 2snTdTdTd 3P0P0P0P0 4PPPP 5appp 6RRRtR 7wwW1W2 8NhCLCMCH 9GGgg
+    if (!isValidGroup(group)) {
+        skip("is an invalid iRixhVV group, it was skipped");
+        group = "/////";
+    }
+    data.precipitation_indicator = precipitationIndicator(group[0]);
+    data.weather_indicator = weatherIndicator(group[1]);
+    data.lowest_cloud_base = lowestCloudBase(group[2]);
+    data.visibility = visibility(group.slice(3, 5));
+
+    var Nddff = next();
+    data.cloud_cover = null;
+    data.surface_wind = null;
+    if (Nddff != null && !isValidGroup(Nddff)) {
+        skip("is an invalid Nddff group, it was skipped");
+        Nddff = null;
+    }
+    if (Nddff != null && Nddff.length == 5) {
+        data.cloud_cover = cloudCover(Nddff[0]);
+    }
+    if (Nddff != null && Nddff.length == 5 && !isMissing(Nddff.slice(1, 5))) {
+        var direction = directionDegrees(Nddff.slice(1, 3));
+        var speed = toInt(Nddff.slice(3, 5));
+        speed = (speed != null ? {value: speed, unit: (data.wind_indicator != null ? data.wind_indicator.unit : null)} : null);
+        if (direction != null && direction.calm && speed != null && speed.value > 0) speed = null;    // calm wind can not have a speed
+        data.surface_wind = {direction: direction, speed: speed};
+    }
+
+    group = next();
+    // wind speed of 99 units or more is given in group 00fff
+    if (group != null && data.surface_wind != null && data.surface_wind.speed != null && data.surface_wind.speed.value == 99 && /^00\d{3}$/.test(group)) {
+        data.surface_wind.speed.value = toInt(group.slice(2, 5));
+        group = next();
+    }
+
+    var lastHeader = 0;
+    while (group != null && !/^(222|333|444|555)/.test(group)) {
+        var header = toInt(group[0]);
+        if (header == null || header <= lastHeader || !isValidGroup(group)) {
+            // out of order or invalid group, skip it
+            skip((header != null && isValidGroup(group) ? "is out of order in section 1" : "is an invalid group of section 1") + ", it was skipped");
+            group = next();
+            continue;
+        }
+        lastHeader = header;
+        switch (header) {
+            case 1:
+                data.air_temperature = temperature(group);
+                break;
+            case 2:
+                if (group[1] == "9") {
+                    var UUU = toInt(group.slice(2, 5));
+                    data.relative_humidity = (UUU != null ? {value: UUU, unit: "%"} : null);
+                } else {
+                    data.dewpoint_temperature = temperature(group);
+                }
+                break;
+            case 3:
+                data.station_pressure = pressure(group.slice(1, 5));
+                break;
+            case 4:
+                if (["0", "9", "/"].includes(group[1])) {
+                    data.sea_level_pressure = pressure(group.slice(1, 5));
+                }
+                break;
+            case 5:
+                var tendency = codeFigure(group[1], "0200", 8);
+                var ppp = toInt(group.slice(2, 5));
+                data.pressure_tendency = {
+                    tendency: tendency,
+                    change: (ppp != null && tendency != null ? {value: ppp / (tendency.value < 5 ? 10 : -10), unit: "hPa"} : null)
+                };
+                break;
+            case 6:
+                if (data.precipitation_indicator != null && data.precipitation_indicator.in_group_1) {
+                    data.precipitation_s1 = precipitation(group);
+                }
+                break;
+            case 7:
+                var ix = (data.weather_indicator != null ? data.weather_indicator.value : null);
+                data.present_weather = weather(group.slice(1, 3), "present", ix, defTimeBefore);
+                data.past_weather = [weather(group[3], "past", ix), weather(group[4], "past", ix)];
+                break;
+            case 8:
+                data.cloud_types = cloudTypes(group);
+                break;
+            case 9:
+                var GG = toInt(group.slice(1, 3));
+                var gg = toInt(group.slice(3, 5));
+                data.exact_obs_time = {hour: (GG != null && GG <= 24 ? {value: GG} : null), minute: (gg != null && gg <= 59 ? {value: gg} : null)};
+                break;
+        }
+        group = next();
+    }
+
+    // SECTION 2 - 222Dsvs 0snTwTwTw 1PwaPwaHwaHwa 2PwPwHwHw 3dw1dw1dw2dw2 4Pw1Pw1Hw1Hw1 5Pw2Pw2Hw2Hw2 (6IsEsEsRs) 70HwaHwaHwa (8swTbTbTb) (ICE ...)
+    if (group != null && group.startsWith("222")) {
+        data.displacement = shipDisplacement(group);
+        var swellDirections = null;
+        group = next();
+        while (group != null && !/^(333|444|555)$/.test(group)) {
+            if (group == "ICE") {
+                // ice groups are not plotted, skip to the next section
+                while (group != null && !/^(333|444|555)$/.test(group)) group = next();
+                break;
+            }
+            if (!isValidGroup(group)) skip("is an invalid group of section 2, it was skipped");
+            switch (isValidGroup(group) ? group[0] : null) {
+                case "0":
+                    data.sea_surface_temperature = seaSurfaceTemperature(group);
+                    break;
+                case "1":
+                case "2":
+                    if (!data.wind_waves) data.wind_waves = [];
+                    data.wind_waves.push(windWaves(group, group[0] == "1"));
+                    break;
+                case "3":
+                    swellDirections = group;
+                    break;
+                case "4":
+                case "5":
+                    if (!data.swell_waves) data.swell_waves = [];
+                    data.swell_waves.push(swellWaves(swellDirections, group));
+                    break;
+                case "7":
+                    // 70HwaHwaHwa: accurate height of the instrumental wind waves, in tenths of a metre
+                    var HHH = toInt(group.slice(2, 5));
+                    var instrumentalWave = (data.wind_waves || []).find(wave => wave.instrumental);
+                    if (group[1] == "0" && HHH != null && instrumentalWave) {
+                        instrumentalWave.height = {value: Number((HHH * 0.1).toFixed(1)), unit: "m"};
+                        instrumentalWave.accurate = true;
+                    }
+                    break;
+            }
+            group = next();
+        }
+    }
+
+    // SECTION 3 - 333 0.... 1snTxTxTx 2snTnTnTn 3EsnTgTg 4E'sss (5....) 6RRRtR 7R24R24R24R24 (8NsChshs) 9SpSpspsp
+    if (group == "333") {
+        var group9 = [];
+        var inSunshineRadiation = false;    // after a 55SSS group, groups 0-6 are radiation groups (except a trailing 6RRRtR)
+        var lastHeader3 = -1;
+        group = next();
+        while (group != null && group != "444" && group != "555") {
+            var header3 = toInt(group[0]);
+            if (header3 == null || !isValidGroup(group)) {
+                skip("is an invalid group of section 3, it was skipped");
+                group = next();
+                continue;
+            }
+            if (header3 < lastHeader3 && !inSunshineRadiation) {
+                skip("is out of order in section 3, it and the rest of the section were skipped");
+                break;
+            }
+            if (inSunshineRadiation && header3 <= 6) {
+                // radiation group, not plotted. A 6RRRtR group is only taken if it closes the radiation groups.
+                var following = groups[i];
+                if (header3 == 6 && (following == null || toInt(following[0]) == null || toInt(following[0]) > 6)
+                    && data.precipitation_indicator != null && data.precipitation_indicator.in_group_3) {
+                    data.precipitation_s3 = precipitation(group);
+                }
+            } else {
+                switch (header3) {
+                    case 0:
+                        if (data.region != null && data.region.value == "I") {
+                            var TgTg = toInt(group.slice(1, 3));
+                            data.ground_minimum_temperature = (TgTg != null ? {value: (TgTg <= 49 ? TgTg : 50 - TgTg), unit: "Cel"} : null);
+                        } else if (data.region != null && data.region.value == "II") {
+                            data.ground_state_grass = groundState(group);
+                        }
+                        break;
+                    case 1:
+                        data.maximum_temperature = temperature(group);
+                        break;
+                    case 2:
+                        data.minimum_temperature = temperature(group);
+                        break;
+                    case 3:
+                        if (data.region != null && ["II", "III", "IV", "VI"].includes(data.region.value)) {
+                            data.ground_state = groundState(group);
+                        }
+                        break;
+                    case 4:
+                        data.ground_state_snow = groundStateSnow(group);
+                        break;
+                    case 5:
+                        if (group[1] == "5") inSunshineRadiation = true;
+                        break;
+                    case 6:
+                        if (data.precipitation_indicator != null && data.precipitation_indicator.in_group_3) {
+                            data.precipitation_s3 = precipitation(group);
+                        }
+                        break;
+                    case 7:
+                        if (data.region == null || data.region.value != "Antarctic") {
+                            data.precipitation_24h = precipitation24h(group);
+                        }
+                        break;
+                    case 9:
+                        group9.push(group);
+                        break;
+                }
+            }
+            lastHeader3 = header3;
+            group = next();
+        }
+
+        // 9SpSpspsp groups: 907tt (period of the following group), 910ff / 911ff (915dd) highest gust, 960ww / 961w1w1 present weather
+        var gustTimeBefore = defTimeBefore;
+        var gustUnit = (data.wind_indicator != null ? data.wind_indicator.unit : null);
+        var ix3 = (data.weather_indicator != null ? data.weather_indicator.value : null);
+        group9.forEach((g, idx) => {
+            var jj = g.slice(1, 3);
+            if (jj == "07" && group9[idx + 1] != null && !group9[idx + 1].startsWith("910")) {
+                gustTimeBefore = timeBeforeObs4077(g.slice(3, 5)) || gustTimeBefore;
+            } else if (jj == "10" || jj == "11") {
+                var ff = toInt(g.slice(3, 5));
+                var gust = {
+                    speed: (ff != null ? {value: ff, unit: gustUnit} : null),
+                    direction: (jj == "11" && group9[idx + 1] != null && group9[idx + 1].startsWith("915") ? directionDegrees(group9[idx + 1].slice(3, 5)) : null)
+                };
+                if (jj == "10") {
+                    gust.measure_period = {value: 10, unit: "min"};
+                } else if (gustTimeBefore != null) {
+                    gust.time_before_obs = gustTimeBefore;
+                }
+                if (!data.highest_gust) data.highest_gust = [];
+                data.highest_gust.push(gust);
+            } else if (jj == "60" || jj == "61") {
+                if (!data.present_weather_additional) data.present_weather_additional = [];
+                data.present_weather_additional.push(weather(g.slice(3, 5), "present", ix3, defTimeBefore));
+            }
+        });
+    }
+
+    if (diagnostics.length > 0) data.diagnostics = diagnostics;
+    return data;
+}
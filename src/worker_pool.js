@@ -0,0 +1,111 @@
+/**
+ * station-model-symbology: worker_pool.js
+ *
+ * Pool of decoder Web Workers (main_worker.js). Reports are collected while the symbols are being requested, then sent in batches
+ * (many reports per postMessage) to the least loaded worker. Each report gets a Promise of its decoded data (or decode error), resolved when the batch comes back.
+ */
+
+export { decodeInWorker };
+import Main_worker from 'web-worker:./main_worker'; // for rollup, so that the worker is included in bundle
+
+var pool = null;            // [{worker, pending: Map of request ID -> {resolve, reject}}]
+var requestQueue = [];      // requests waiting for the next batch
+var nextRequestId = 0;
+
+// default pool size: one worker per logical core, leaving one for the main thread, at most 4
+function defaultPoolSize() {
+    var cores = (typeof navigator != "undefined" && navigator.hardwareConcurrency) || 2;
+    return Math.max(1, Math.min(cores - 1, 4));
+}
+
+// the workers run from a blob URL: URLs relative to the page are resolved here
+function workerConfig(options) {
+    return {
+        pyodideIndexUrl: new URL(String(options.pyodideIndexUrl).replace(/\/?$/, "/"), document.baseURI).href,
+        decoderArchiveUrl: new URL(options.decoderArchiveUrl, document.baseURI).href
+    };
+}
+
+function startPool(size, config) {
+    pool = [];
+    for (let i = 0; i < size; i++) {
+        let member = {worker: new Main_worker(), pending: new Map()};
+        member.worker.postMessage({config: config});
+        member.worker.onmessage = (e) => {
+            console.debug(`MAIN: ${e.data.results.length} decoded reports received back from worker ${i}`);
+            e.data.results.forEach((result) => {
+                var request = member.pending.get(result.id);
+                if (request != null) {
+                    member.pending.delete(result.id);
+                    request.resolve({decoded: result.decoded, error: (result.error != null ? result.error : null)});
+                }
+            });
+        };
+        member.worker.onerror = (e) => {
+            console.error(`MAIN: worker ${i} failed, ${member.pending.size} reports are not decoded:`, e.message);
+            member.pending.forEach(request => request.reject(new Error(`Decoder worker failed: ${e.message}`)));
+            member.pending.clear();
+        };
+        pool.push(member);
+    }
+    console.debug(`MAIN: started ${size} decoder workers`);
+}
+
+// requests of a batch still not answered after the timeout (e.g. a worker stuck starting Pyodide) are rejected, a late answer is ignored
+function expireBatch(member, batch, timeout) {
+    batch.forEach((request) => {
+        if (member.pending.get(request.report.id) === request) {
+            member.pending.delete(request.report.id);
+            request.reject(new Error(`Decoder worker did not answer within ${timeout} ms`));
+        }
+    });
+}
+
+// sends the queued requests in batches of at most batchSize reports, each to the worker with the fewest pending reports
+function flushRequests() {
+    var requests = requestQueue;
+    requestQueue = [];
+    var batchSize = Math.max(1, requests[0].batchSize);
+
+    // a batch holds reports for one decoder backend only
+    var byDecoder = new Map();
+    requests.forEach((request) => {
+        if (!byDecoder.has(request.decoder)) byDecoder.set(request.decoder, []);
+        byDecoder.get(request.decoder).push(request);
+    });
+
+    byDecoder.forEach((decoderRequests, decoder) => {
+        for (let start = 0; start < decoderRequests.length; start += batchSize) {
+            var batch = decoderRequests.slice(start, start + batchSize);
+            var member = pool.reduce((least, candidate) => (candidate.pending.size < least.pending.size ? candidate : least));
+            batch.forEach(request => member.pending.set(request.report.id, request));
+            member.worker.postMessage({decoder: decoder, batch: batch.map(request => request.report)});
+            if (batch[0].timeout > 0) {
+                setTimeout(expireBatch, batch[0].timeout, member, batch, batch[0].timeout);
+            }
+        }
+    });
+}
+
+// decodes one report ({SYNOP_raw, BUFR_raw, METAR_raw}, one of them given, and BUFR_subset) in the worker pool
+// resolves with {decoded, error}: the decoded data, or null and the diagnostic of the report that could not be decoded (see main_worker.js)
+function decodeInWorker(report, options) {
+    if (!window.Worker) {
+        return Promise.reject(new Error('Web Workers are not supported in your browser. Please try again on a browser that supports the Web Workers API: https://developer.mozilla.org/en-US/docs/Web/API/Worker#browser_compatibility'));
+    }
+    if (pool == null) {
+        startPool(options.workers != null ? Math.max(1, options.workers) : defaultPoolSize(), workerConfig(options));
+    }
+    return new Promise((resolve, reject) => {
+        requestQueue.push({
+            report: Object.assign({id: nextRequestId++}, report),
+            decoder: options.decoder,
+            batchSize: options.batchSize,
+            timeout: options.decodeTimeout,
+            resolve: resolve,
+            reject: reject
+        });
+        // all symbols requested in the same task (e.g. in one ".eachLayer") go out together
+        if (requestQueue.length == 1) setTimeout(flushRequests, 0);
+    });
+}
@@ -4,54 +4,244 @@
  * Extends L.GeoJSON. Imports main.js of the module. Supports Leaflet v1.9.4.
  */
 
-import { meteoStation } from "./main.js";
+import { meteoStation, clearDecodeCache } from "./main.js";
+import { featureReport, featureReportPosition, featureSubsets } from "./feature_report.js";
+import { composeChart, rasterizeChart } from "./chart_export.js";
 //const meteoStation = require("./main.js");
 
+// WMO block number of a station model (the first two digits of the station index IIiii), null for sea and mobile stations and METAR
+function wmoBlock(symbol) {
+    return (symbol.stationId != null && /^\d{5}$/.test(symbol.stationId) ? Number(symbol.stationId.slice(0, 2)) : null);
+}
+
+// box [minX, minY, maxX, maxY] covered by a station model centered on point, in pixels: the symbol is scaled by a CSS transform around its center
+function symbolBox(symbol, point, padding) {
+    var scaling = /scale\(([-\d.e]+)\)/.exec(symbol.getAttribute('transform') || "");
+    var scale = (scaling != null ? Number(scaling[1]) : 1);
+    var halfWidth = Number(symbol.getAttribute('width')) * scale / 2 + padding / 2;
+    var halfHeight = Number(symbol.getAttribute('height')) * scale / 2 + padding / 2;
+    return [point.x - halfWidth, point.y - halfHeight, point.x + halfWidth, point.y + halfHeight];
+}
+
+function boxesOverlap(a, b) {
+    return a[0] < b[2] && b[0] < a[2] && a[1] < b[3] && b[1] < a[3];
+}
+
+// the layers of the candidates [{layer, box, priority, completeness}] shown by the decluttering: by priority, each one only if its box is within view
+// and does not overlap one already shown; those with equal priority by data completeness, then in the order given
+function declutteredLayers(candidates, view) {
+    candidates.sort((a, b) => (b.priority - a.priority) || (b.completeness - a.completeness));
+
+    // the boxes of the station models shown, in a grid of cells as large as the largest symbol, so each box is only compared with its neighbours
+    var cellSize = candidates.reduce((largest, candidate) => Math.max(largest, candidate.box[2] - candidate.box[0], candidate.box[3] - candidate.box[1]), 1);
+    var grid = new Map();   // "column,row" -> boxes overlapping the cell
+    var cellsOf = (box) => {
+        var keys = [];
+        for (let column = Math.floor(box[0] / cellSize); column <= Math.floor(box[2] / cellSize); column++) {
+            for (let row = Math.floor(box[1] / cellSize); row <= Math.floor(box[3] / cellSize); row++) {
+                keys.push(column + "," + row);
+            }
+        }
+        return keys;
+    };
+
+    var shownLayers = new Set();
+    candidates.forEach((candidate) => {
+        var keys = cellsOf(candidate.box);
+        if (boxesOverlap(candidate.box, view) && !keys.some(key => grid.has(key) && grid.get(key).some(box => boxesOverlap(box, candidate.box)))) {
+            keys.forEach((key) => {
+                if (!grid.has(key)) grid.set(key, []);
+                grid.get(key).push(candidate.box);
+            });
+            shownLayers.add(candidate.layer);
+        }
+    });
+    return shownLayers;
+}
+
 L.StationModels = L.GeoJSON.extend({
 
+    options: {
+        declutter: false,                   // hide the station models overlapping others of higher priority
+        declutterPriority: "completeness",  // "completeness", "wmoBlock", name of a feature property, or function(feature, symbol) -> number; higher is kept first
+        declutterBlocks: [],                // for declutterPriority "wmoBlock": the WMO blocks kept first, in order
+        declutterPadding: 0                 // minimum space between the station models, in pixels
+    },
+
     _main() {
         var options = this.options; // user-defined options on L.geoJSON() instantiation
 
         this.eachLayer(function(layer) {
-
-            // check if user-defined attribute in GeoJSON exists
-            if (!layer.feature.properties.hasOwnProperty(options.field)) {
-                console.error('Attribute field "'+options.field+'" does not exist in given GeoJSON. Please note that attribute field input is case-sensitve. Available attribute fields: '+JSON.stringify(layer.feature.properties));
-                return;
-
-                // later, apply some default symbol for feature, indicating missing SYNOP report (instead of the Leaflet default blue pin)
-            } 
-
-            // check if user-defined attribute in GeoJSON has value
-            if (layer.feature.properties[options.field] == "") {
-                console.error('Attribute field "'+options.field+'" exists, but for this feature, has an empty string.');
+            var report = featureReport(layer.feature.properties, options);
+            if (report == null) {
                 return;
-
                 // later, apply some default symbol for feature, indicating missing SYNOP report (instead of the Leaflet default blue pin)
-            } 
+            }
 
             meteoStation(
-                {
-                    rawSynop: layer.feature.properties[options.field],
-                    leafletID: layer._leaflet_id    // Leaflet feature ID is kept, so the symbol can be applied to the proper feature
-                }, 
+                Object.assign(report, {leafletID: layer._leaflet_id}),  // Leaflet feature ID is kept, so the symbol can be applied to the proper feature
                 layer.feature.geometry.coordinates, // lat/lon coords are needed for compliant wind shaft (depending on hemishpere)
                 options // user-options forwarded directly to the main staton model symbol generator module
             )
-            .then((finalSymbol) => {
-                var iconW = finalSymbol.getAttribute('width');
-                var iconH = finalSymbol.getAttribute('height');
-
-                const svgIcon = L.divIcon({
-                    html: finalSymbol,
-                    className: "",
-                    iconSize: [iconW, iconH],
-                    iconAnchor: [iconW/2, iconH/2],
-                });           
-
-                layer.setIcon(svgIcon);
-            });
+            .then(finalSymbol => this._setSymbol(layer, finalSymbol), error => this._symbolFailed(layer, error));
+        }, this);
+    },
+
+    _setSymbol(layer, finalSymbol) {
+        var iconW = finalSymbol.getAttribute('width');
+        var iconH = finalSymbol.getAttribute('height');
+
+        const svgIcon = L.divIcon({
+            html: finalSymbol,
+            className: "",
+            iconSize: [iconW, iconH],
+            iconAnchor: [iconW/2, iconH/2],
+        });           
+
+        layer.setIcon(svgIcon);
+        layer._stationSymbol = finalSymbol;    // for the decluttering and the export of the chart
+        this._scheduleDeclutter();
+
+        if (finalSymbol.decodeError != null) {
+            this.fire('decodeerror', {layer: layer, diagnostic: finalSymbol.decodeError});
+        }
+    },
+
+    // no symbol for the feature (option undecodable: "reject", or the decoder workers failed): the default marker is kept
+    _symbolFailed(layer, error) {
+        console.error('L.stationModels: no symbol for feature', layer.feature.properties, error);
+        this.fire('decodeerror', {layer: layer, diagnostic: (error.diagnostic != null ? error.diagnostic : {type: null, report: null, message: error.message, group: null, groupIndex: null, fatal: true})});
+    },
+
+    // the station models of the chart, in its pixels: bounds (default: the current view) at zoom (default: the current zoom), in the CRS of the map
+    _chartStations(options) {
+        var map = this._map;
+        if (map == null) {
+            throw new Error('L.stationModels: the layer has to be added to a map to export a chart.');
+        }
+        var bounds = L.latLngBounds(options.bounds || map.getBounds());
+        var zoom = (options.zoom != null ? options.zoom : map.getZoom());
+        var origin = map.project(bounds.getNorthWest(), zoom);
+        var size = map.project(bounds.getSouthEast(), zoom).subtract(origin);
+
+        // with option "declutter", the chart is decluttered by itself: for its bounds and zoom, not those of the view
+        var toChart = (latLng) => map.project(latLng, zoom).subtract(origin);
+        var shownLayers = (this.options.declutter ? declutteredLayers(this._declutterCandidates(toChart), [0, 0, size.x, size.y]) : null);
+
+        var stations = [];
+        this.eachLayer((layer) => {
+            if (layer._stationSymbol != null && (shownLayers == null || shownLayers.has(layer))) {
+                var point = toChart(layer.getLatLng());
+                stations.push({symbol: layer._stationSymbol, x: point.x, y: point.y});
+            }
         });
+        return {stations: stations, options: Object.assign({}, options, {width: Math.round(size.x), height: Math.round(size.y)})};
+    },
+
+    // all station models of the layer as one SVG document (string), see README for the options
+    exportChart(options = {}) {
+        var chart = this._chartStations(options);
+        return composeChart(chart.stations, chart.options);
+    },
+
+    // all station models of the layer as a PNG image (Promise of a Blob), at options.dpi
+    exportChartPng(options = {}) {
+        var chart = this._chartStations(options);
+        return rasterizeChart(chart.stations, chart.options);
+    },
+
+    // priority of a station model for the decluttering, by option "declutterPriority": higher is kept first
+    _declutterPriority(layer) {
+        var priority = this.options.declutterPriority;
+        var symbol = layer._stationSymbol;
+        if (typeof priority == "function") {
+            return priority(layer.feature, symbol);
+        }
+        if (priority == "completeness") {
+            return symbol.plottedCells;
+        }
+        if (priority == "wmoBlock") {
+            // the blocks of option "declutterBlocks" in their order, then the other stations with an index, then those without (sea and mobile stations, METAR)
+            var blocks = this.options.declutterBlocks;
+            var block = wmoBlock(symbol);
+            var rank = blocks.indexOf(block);
+            return (rank >= 0 ? blocks.length - rank : (block != null ? 0 : -1));
+        }
+        var value = layer.feature.properties[priority];     // a feature property, e.g. set by the application
+        return (value == null || value === "" || Number.isNaN(Number(value)) ? -Infinity : Number(value));
+    },
+
+    // several changes (e.g. the symbols of all features arriving) make one decluttering, on the next animation frame
+    _scheduleDeclutter() {
+        if (this.options.declutter && this._map != null && this._declutterFrame == null) {
+            this._declutterFrame = L.Util.requestAnimFrame(this._declutter, this);
+        }
+    },
+
+    // the station models of the layer for the decluttering, at the points (pixels) given by toPoint(latLng)
+    // features without a station model (not built yet, or with the default marker) are left out
+    _declutterCandidates(toPoint) {
+        var candidates = [];
+        this.eachLayer((layer) => {
+            var symbol = layer._stationSymbol;
+            if (symbol != null) {
+                var box = symbolBox(symbol, toPoint(layer.getLatLng()), this.options.declutterPadding);
+                candidates.push({layer: layer, box: box, priority: this._declutterPriority(layer), completeness: symbol.plottedCells});
+            }
+        });
+        return candidates;
+    },
+
+    // shows the station models that do not overlap others of higher priority (see declutteredLayers())
+    // only the view and half of it around are considered, the station models beyond are hidden: recomputed when the map is zoomed or panned
+    _declutter() {
+        this._declutterFrame = null;
+        var map = this._map;
+        if (map == null) {
+            return;
+        }
+        var size = map.getSize();
+        var candidates = this._declutterCandidates(latLng => map.latLngToContainerPoint(latLng));
+        var shownLayers = declutteredLayers(candidates, [-size.x / 2, -size.y / 2, size.x * 1.5, size.y * 1.5]);
+
+        // hidden station models are taken off the map, but stay in the layer
+        candidates.forEach((candidate) => {
+            var shown = shownLayers.has(candidate.layer);
+            if (shown && !map.hasLayer(candidate.layer)) {
+                map.addLayer(candidate.layer);
+            } else if (!shown && map.hasLayer(candidate.layer)) {
+                map.removeLayer(candidate.layer);
+            }
+        });
+    },
+
+    // features of sea and mobile stations may have no geometry (Leaflet would skip them): take the position from their SHIP / SYNOP MOBIL report (or BUFR message)
+    _withReportPosition(feature) {
+        if (feature == null || feature.type != "Feature" || feature.geometry != null || feature.properties == null) {
+            return feature;
+        }
+        var position = featureReportPosition(feature.properties, this.options);
+        if (position == null) {
+            return feature;
+        }
+        return Object.assign({}, feature, {geometry: {type: "Point", coordinates: position}});
+    },
+
+    // the features of a GeoJSON feature: one per station of a BUFR message with several subsets
+    _stationFeatures(feature) {
+        return featureSubsets(feature, this.options).map(stationFeature => this._withReportPosition(stationFeature));
+    },
+
+    addData(geojson) {
+        if (Array.isArray(geojson)) {
+            geojson = geojson.flatMap(feature => this._stationFeatures(feature));
+        } else if (geojson != null && Array.isArray(geojson.features)) {
+            geojson = Object.assign({}, geojson, {features: geojson.features.flatMap(feature => this._stationFeatures(feature))});
+        } else {
+            var features = this._stationFeatures(geojson);
+            geojson = (features.length == 1 ? features[0] : features);
+        }
+        return L.GeoJSON.prototype.addData.call(this, geojson);
     },
 
     onAdd(map) {
@@ -59,9 +249,22 @@ L.StationModels = L.GeoJSON.extend({
         console.debug('L.stationModels: user-defined options:', this.options)
         L.GeoJSON.prototype.onAdd.call(this, map);
         this._main(map);
+        map.on('moveend', this._scheduleDeclutter, this);   // after zooming and panning
+    },
+
+    onRemove(map) {
+        map.off('moveend', this._scheduleDeclutter, this);
+        if (this._declutterFrame != null) {
+            L.Util.cancelAnimFrame(this._declutterFrame);
+            this._declutterFrame = null;
+        }
+        L.GeoJSON.prototype.onRemove.call(this, map);
     },
 });
 
 L.stationModels = function (layers, options) {
 	return new L.StationModels(layers, options);
-};
\ No newline at end of file
+};
+
+// empties the cache of decoded reports (memory and IndexedDB), returns a Promise
+L.stationModels.clearCache = clearDecodeCache;
\ No newline at end of file
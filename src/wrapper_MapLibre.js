@@ -0,0 +1,207 @@
+/**
+ * Wrapper for MapLibre GL JS, for module "station-model-symbology"
+ *
+ * Draws the features of a GeoJSON source of the map as a symbol layer: each station model is rasterised (at the devicePixelRatio of the page) into an image of the map style.
+ * The layer has its own GeoJSON source, a copy of the given one with the image ID of each feature, updated whenever the data of the given source changes.
+ * Imports main.js of the module. Uses the global "maplibregl", supports MapLibre GL JS v5.
+ */
+
+import { meteoStation, clearDecodeCache } from "./main.js";
+import { featureReport, featureReportPosition, featureSubsets } from "./feature_report.js";
+import { scaledSymbol } from "./chart_export.js";
+
+// options of the symbol layer, all others are options of the station models (forwarded to meteoStation())
+const LAYER_OPTIONS = ["id", "source", "beforeId", "layout", "paint", "filter", "minzoom", "maxzoom"];
+const IMAGE_PROPERTY = "_stationModel";     // property of the features of the layer's source: ID of the image of their station model
+
+// station model (SVG element) -> ImageData, at the given pixel ratio, in the size given by option scaling.stationModel
+async function rasterizeSymbol(finalSymbol, pixelRatio) {
+    var symbol = scaledSymbol(finalSymbol);
+    var width = Number(symbol.getAttribute('width'));
+    var height = Number(symbol.getAttribute('height'));
+    var image = new Image();
+    image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(new XMLSerializer().serializeToString(symbol));
+    await image.decode();
+
+    var canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(width * pixelRatio);
+    canvas.height = Math.ceil(height * pixelRatio);
+    var context = canvas.getContext('2d');
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    return context.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+maplibregl.StationModels = class extends maplibregl.Evented {
+
+    constructor(options) {
+        super();
+        this._layerOptions = {id: "station-models", source: null, beforeId: undefined, layout: {}, paint: {}};
+        this.options = {};  // user-defined options on instantiation, without those of the symbol layer
+        Object.entries(options || {}).forEach(([key, value]) => {
+            (LAYER_OPTIONS.includes(key) ? this._layerOptions : this.options)[key] = value;
+        });
+        if (this._layerOptions.source == null) {
+            console.error('maplibregl.StationModels: option "source" (ID of the GeoJSON source of the features) is required.');
+        }
+
+        this._sourceId = this._layerOptions.id + "-source";    // the layer's own source
+        this._map = null;
+        this._images = new Map();   // key of a feature (properties and coordinates) -> {id, ready: Promise of true if the image was added, settled}
+        this._nextImageId = 0;
+        this._update = 0;           // number of the latest update: older ones still being built are dropped
+        this._updateTimer = null;
+        this._onSourceData = (e) => {
+            // new data in the given source (first load, or setData()), not the loading of its tiles
+            if (e.sourceId == this._layerOptions.source && (e.sourceDataType == "metadata" || e.sourceDataType == "content")) {
+                this._scheduleUpdate();
+            }
+        };
+        console.debug('maplibregl.StationModels: user-defined options:', this.options)
+    }
+
+    addTo(map) {
+        this._map = map;
+        var add = () => {
+            map.addSource(this._sourceId, {type: "geojson", data: {type: "FeatureCollection", features: []}});
+            var layer = {
+                id: this._layerOptions.id,
+                type: "symbol",
+                source: this._sourceId,
+                layout: Object.assign({
+                    "icon-image": ["get", IMAGE_PROPERTY],
+                    "icon-allow-overlap": false,            // collision handling: station models overlapping others are not drawn
+                    "icon-rotation-alignment": "viewport",  // upright on screen, like the station models of Leaflet and OpenLayers
+                    "icon-pitch-alignment": "viewport"
+                }, this._layerOptions.layout),
+                paint: this._layerOptions.paint
+            };
+            ["filter", "minzoom", "maxzoom"].filter(key => this._layerOptions[key] != null).forEach(key => layer[key] = this._layerOptions[key]);
+            map.addLayer(layer, this._layerOptions.beforeId);
+            map.on('sourcedata', this._onSourceData);
+            this._scheduleUpdate();
+        };
+        if (map.isStyleLoaded()) {
+            add();
+        } else {
+            map.once('load', add);
+        }
+        return this;
+    }
+
+    remove() {
+        var map = this._map;
+        if (map == null) {
+            return this;
+        }
+        this._update++;
+        clearTimeout(this._updateTimer);
+        map.off('sourcedata', this._onSourceData);
+        if (map.getLayer(this._layerOptions.id)) map.removeLayer(this._layerOptions.id);
+        if (map.getSource(this._sourceId)) map.removeSource(this._sourceId);
+        this._images.forEach(image => { if (map.hasImage(image.id)) map.removeImage(image.id); });
+        this._images.clear();
+        this._map = null;
+        return this;
+    }
+
+    // several events of one change of data (e.g. "metadata" and "content" on first load) make one update
+    _scheduleUpdate() {
+        clearTimeout(this._updateTimer);
+        this._updateTimer = setTimeout(() => this._updateFeatures(), 0);
+    }
+
+    // copies the features of the given source to the layer's source, once the images of all of them are ready
+    async _updateFeatures() {
+        var update = ++this._update;
+        var source = this._map.getSource(this._layerOptions.source);
+        if (source == null || typeof source.getData != "function") {
+            console.error('maplibregl.StationModels: GeoJSON source "'+this._layerOptions.source+'" does not exist.');
+            return;
+        }
+        var data = await source.getData();
+        var features = (data.type == "FeatureCollection" ? data.features : (data.type == "Feature" ? [data] : []));
+        features = features.flatMap(feature => featureSubsets(feature, this.options));     // one feature per station of a BUFR message with several subsets
+        var used = new Set();
+        var drawn = await Promise.all(features.map(feature => this._featureWithImage(feature, used)));
+        if (update != this._update) {
+            return;
+        }
+        this._map.getSource(this._sourceId).setData({type: "FeatureCollection", features: drawn.filter(feature => feature != null)});
+
+        // images of features that are gone
+        this._images.forEach((image, key) => {
+            if (!used.has(key) && image.settled) {
+                if (this._map.hasImage(image.id)) this._map.removeImage(image.id);
+                this._images.delete(key);
+            }
+        });
+    }
+
+    // Promise of the feature for the layer's source (with a point geometry and the ID of its image), or of null if it is not drawn
+    async _featureWithImage(feature, used) {
+        var properties = feature.properties || {};
+        var geometry = feature.geometry;
+        // features of sea and mobile stations may have no geometry: take the position from their SHIP / SYNOP MOBIL report (or BUFR message)
+        if (geometry == null) {
+            var position = featureReportPosition(properties, this.options);
+            if (position == null) {
+                return null;
+            }
+            geometry = {type: "Point", coordinates: position};
+        }
+        if (geometry.type != "Point") {
+            return null;
+        }
+
+        // a new image is only made when the report (or position) of the feature changes
+        var key = JSON.stringify([properties, geometry.coordinates]);
+        used.add(key);
+        var image = this._images.get(key);
+        if (image == null) {
+            var report = featureReport(properties, this.options);
+            if (report == null) {
+                return null;
+            }
+            image = {id: `${this._layerOptions.id}-${this._nextImageId++}`, settled: false};
+            image.ready = meteoStation(
+                report,
+                geometry.coordinates,   // lon/lat coords are needed for compliant wind shaft (depending on hemisphere)
+                this.options
+            )
+            .then(finalSymbol => this._addImage(image.id, finalSymbol, feature))
+            .catch(error => this._symbolFailed(feature, error))
+            .then((added) => {
+                image.settled = true;
+                return added;
+            });
+            this._images.set(key, image);
+        }
+        var added = await image.ready;
+        return (added ? {type: "Feature", id: feature.id, geometry: geometry, properties: Object.assign({}, properties, {[IMAGE_PROPERTY]: image.id})} : null);
+    }
+
+    async _addImage(id, finalSymbol, feature) {
+        if (finalSymbol.decodeError != null) {
+            this.fire(new maplibregl.Event('decodeerror', {feature: feature, diagnostic: finalSymbol.decodeError}));
+        }
+        var pixelRatio = window.devicePixelRatio || 1;
+        var imageData = await rasterizeSymbol(finalSymbol, pixelRatio);
+        if (this._map == null) {
+            return false;
+        }
+        if (!this._map.hasImage(id)) {
+            this._map.addImage(id, imageData, {pixelRatio: pixelRatio});
+        }
+        return true;
+    }
+
+    // no symbol for the feature (option undecodable: "reject", the decoder workers failed, or the symbol could not be rasterised): the feature is not drawn
+    _symbolFailed(feature, error) {
+        console.error('maplibregl.StationModels: no symbol for feature', feature.properties, error);
+        this.fire(new maplibregl.Event('decodeerror', {feature: feature, diagnostic: (error.diagnostic != null ? error.diagnostic : {type: null, report: null, message: error.message, group: null, groupIndex: null, fatal: true})}));
+        return false;
+    }
+};
+
+// empties the cache of decoded reports (memory and IndexedDB), returns a Promise
+maplibregl.StationModels.clearCache = clearDecodeCache;
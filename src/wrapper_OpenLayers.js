@@ -0,0 +1,144 @@
+/**
+ * Wrapper for OpenLayers, for module "station-model-symbology"
+ *
+ * Extends ol.layer.Vector: each feature is drawn by the style function as an ol.style.Icon of its station model. Imports main.js of the module.
+ * Uses the full build of OpenLayers (global "ol"), supports OpenLayers v10.
+ */
+
+import { meteoStation, clearDecodeCache } from "./main.js";
+import { featureReport, featureReportPosition, featureSubsets } from "./feature_report.js";
+import { scaledSymbol } from "./chart_export.js";
+
+// options of ol.layer.Vector, all others are options of the station models (forwarded to meteoStation())
+const LAYER_OPTIONS = ["className", "opacity", "visible", "extent", "zIndex", "minResolution", "maxResolution", "minZoom", "maxZoom", "map", "source",
+    "renderOrder", "renderBuffer", "declutter", "background", "updateWhileAnimating", "updateWhileInteracting", "properties"];
+
+ol.layer.StationModels = class extends ol.layer.Vector {
+
+    constructor(options) {
+        var layerOptions = {};
+        var symbolOptions = {featureProjection: "EPSG:3857"};
+        Object.entries(options || {}).forEach(([key, value]) => {
+            (LAYER_OPTIONS.includes(key) ? layerOptions : symbolOptions)[key] = value;
+        });
+        super(layerOptions);
+
+        this.options = symbolOptions;   // user-defined options on instantiation, without those of ol.layer.Vector
+        this._symbols = new WeakMap();  // feature -> {key, style}: the properties the symbol was made of, and its style (null until the symbol is ready)
+        this._sourceKey = null;
+        this.setStyle(feature => this._featureStyle(feature));
+
+        this._watchSource();
+        this.on('change:source', () => this._watchSource());
+        console.debug('ol.layer.StationModels: user-defined options:', this.options)
+    }
+
+    // features of sea and mobile stations may have no geometry (they would not be drawn): take the position from their SHIP / SYNOP MOBIL report (or BUFR message)
+    // a BUFR message with several subsets is drawn as one feature per station
+    _watchSource() {
+        if (this._sourceKey != null) {
+            ol.Observable.unByKey(this._sourceKey);
+            this._sourceKey = null;
+        }
+        var source = this.getSource();
+        if (source == null) {
+            return;
+        }
+        source.getFeatures().forEach(feature => this._prepareFeature(feature, source));
+        this._sourceKey = source.on('addfeature', e => this._prepareFeature(e.feature, source));
+    }
+
+    _prepareFeature(feature, source) {
+        this._expandSubsets(feature, source);
+        this._withReportPosition(feature);
+    }
+
+    // the feature becomes the first station of its BUFR message, copies of it are added to the source for the others (positioned by their subset)
+    _expandSubsets(feature, source) {
+        var properties = feature.getProperties();
+        delete properties[feature.getGeometryName()];
+        var stations = featureSubsets({type: "Feature", properties: properties, geometry: null}, this.options);
+        if (stations.length < 2) {
+            return;
+        }
+        var copies = stations.map((station, subset) => {
+            var stationFeature = (subset == 0 ? feature : feature.clone());
+            stationFeature.setProperties(station.properties);
+            stationFeature.setGeometry(station.geometry != null ? new ol.geom.Point(ol.proj.fromLonLat(station.geometry.coordinates, this.options.featureProjection)) : undefined);
+            return stationFeature;
+        });
+        source.addFeatures(copies.slice(1));
+    }
+
+    _withReportPosition(feature) {
+        if (feature.getGeometry() != null) {
+            return;
+        }
+        var position = featureReportPosition(feature.getProperties(), this.options);
+        if (position != null) {
+            feature.setGeometry(new ol.geom.Point(ol.proj.fromLonLat(position, this.options.featureProjection)));
+        }
+    }
+
+    // style function of the layer: the station model of the feature, once it is built
+    // a new symbol is requested when the properties of the feature change (e.g. the source is reloaded with new reports)
+    _featureStyle(feature) {
+        var properties = feature.getProperties();
+        delete properties[feature.getGeometryName()];
+        var key = JSON.stringify(properties);
+
+        var symbol = this._symbols.get(feature);
+        if (symbol == null || symbol.key != key) {
+            symbol = {key: key, style: null};
+            this._symbols.set(feature, symbol);
+            this._requestSymbol(feature, properties, symbol);
+        }
+        return symbol.style;
+    }
+
+    _requestSymbol(feature, properties, symbol) {
+        var geometry = feature.getGeometry();
+        if (geometry == null || geometry.getType() != "Point") {
+            return;
+        }
+        var report = featureReport(properties, this.options);
+        if (report == null) {
+            return;
+        }
+
+        meteoStation(
+            report,
+            ol.proj.toLonLat(geometry.getCoordinates(), this.options.featureProjection),    // lon/lat coords are needed for compliant wind shaft (depending on hemisphere)
+            this.options
+        )
+        .then(finalSymbol => this._setSymbol(feature, symbol, finalSymbol), error => this._symbolFailed(feature, error));
+    }
+
+    _setSymbol(feature, symbol, finalSymbol) {
+        // the feature changed while the symbol was being built: a newer one is on its way
+        if (this._symbols.get(feature) !== symbol) {
+            return;
+        }
+        var svg = new XMLSerializer().serializeToString(scaledSymbol(finalSymbol));    // option scaling.stationModel in the size of the icon
+        symbol.style = new ol.style.Style({
+            image: new ol.style.Icon({
+                src: 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg),
+                anchor: [0.5, 0.5]
+            })
+        });
+        feature.changed();  // redraws the feature, with the new style
+
+        if (finalSymbol.decodeError != null) {
+            this.dispatchEvent({type: 'decodeerror', feature: feature, diagnostic: finalSymbol.decodeError});
+        }
+    }
+
+    // no symbol for the feature (option undecodable: "reject", or the decoder workers failed): the feature is not drawn
+    _symbolFailed(feature, error) {
+        console.error('ol.layer.StationModels: no symbol for feature', feature.getProperties(), error);
+        this.dispatchEvent({type: 'decodeerror', feature: feature, diagnostic: (error.diagnostic != null ? error.diagnostic : {type: null, report: null, message: error.message, group: null, groupIndex: null, fatal: true})});
+    }
+};
+
+// empties the cache of decoded reports (memory and IndexedDB), returns a Promise
+ol.layer.StationModels.clearCache = clearDecodeCache;